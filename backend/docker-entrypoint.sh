@@ -1,10 +1,13 @@
 #!/bin/sh
 set -e
-# Wait for Postgres and run schema init (idempotent)
-until node src/db/init.js 2>/dev/null; do
-  echo "Waiting for Postgres..."
-  sleep 2
-done
+# Wait for Postgres, then apply pending schema migrations (src/db/migrations) once. A failing
+# migration stops the container with its error instead of being retried.
+node src/scripts/wait-for-db.js
+
+# SKIP_MIGRATIONS=1 for a server on a read-only replica; migrate the primary instead
+if [ -z "$SKIP_MIGRATIONS" ]; then
+  node src/scripts/migrate.js up
+fi
 echo "Database ready."
 
 # Optional: run seed when RUN_SEED=1 (e.g. first-time setup)
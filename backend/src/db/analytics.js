@@ -0,0 +1,332 @@
+/**
+ * Analytics snapshots: the /api/analytics aggregates precomputed per year_key and stored in
+ * analytics_snapshots, so the API serves one row instead of nine aggregate queries.
+ *
+ * Scripts that change salary_records call refreshAnalytics when they finish. Year over year
+ * spans every published year, so all published years are refreshed together.
+ */
+import { computeRaises } from './raises.js';
+import { computeFunding } from './funding.js';
+import { PAY_COLUMNS } from './appointment.js';
+
+const HISTOGRAM_LABELS = ['0-25k', '25-50k', '50-75k', '75-100k', '100-125k', '125-150k', '150-200k', '200-250k', '250-300k', '300k+'];
+
+/** SQL for the salary histogram bucket (1-10) of a pay column, matching HISTOGRAM_LABELS. */
+export function histogramBucketSql(ftr = 'ftr') {
+  return `CASE
+           WHEN ${ftr} < 25000 THEN 1
+           WHEN ${ftr} < 50000 THEN 2
+           WHEN ${ftr} < 75000 THEN 3
+           WHEN ${ftr} < 100000 THEN 4
+           WHEN ${ftr} < 125000 THEN 5
+           WHEN ${ftr} < 150000 THEN 6
+           WHEN ${ftr} < 200000 THEN 7
+           WHEN ${ftr} < 250000 THEN 8
+           WHEN ${ftr} < 300000 THEN 9
+           ELSE 10
+         END`;
+}
+
+/** All ten buckets as [{ bucket, label, count }] from rows of { bucket, count }; empty buckets count 0. */
+export function histogramFromRows(rows) {
+  const histogram = HISTOGRAM_LABELS.map((label, i) => ({ bucket: i + 1, label, count: 0 }));
+  rows.forEach((r) => {
+    const h = histogram[r.bucket - 1];
+    if (h) h.count = parseInt(r.count, 10);
+  });
+  return histogram;
+}
+
+/**
+ * SQL for one row per employee (head) with their total pay column as ftr: the person-year
+ * rollup (person-years.js) for linked records, each unlinked record on its own. where filters
+ * both sides on year_key, e.g. 'year_key = $1'.
+ */
+function headsSql(ftr, where) {
+  return `SELECT year_key, total_${ftr} AS ftr FROM person_years WHERE ${where}
+          UNION ALL
+          SELECT year_key, ${ftr} AS ftr FROM salary_records WHERE person_id IS NULL AND ${where}`;
+}
+
+/**
+ * Compute the full analytics payload for one year from salary_records. pay 'fte' reads the
+ * full-time-equivalent annual rate instead of FTR as disclosed (see appointment.js); field
+ * names stay the same. Headcount, the histogram and year-over-year counts are per person
+ * (concurrent appointments rolled up); the other figures are per appointment.
+ */
+export async function computeAnalytics(client, yk, { pay = 'disclosed' } = {}) {
+  const ftr = PAY_COLUMNS[pay];
+  const [
+    overviewRes,
+    topEarnersRes,
+    deptRes,
+    yoyRes,
+    histogramRes,
+    campusRes,
+    salaryBandsRes,
+    concentrationRes,
+    professorSalariesRes,
+  ] = await Promise.all([
+    client.query(
+      `SELECT
+         (SELECT COUNT(*) FROM (${headsSql(ftr, 'year_key = $1')}) h)::int AS headcount,
+         COUNT(*)::int AS appointments,
+         COALESCE(SUM(${ftr}), 0)::numeric AS total_payroll,
+         COALESCE(AVG(${ftr}), 0)::numeric AS mean_ftr,
+         (PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY ${ftr}))::numeric AS median_ftr,
+         COALESCE(MIN(${ftr}), 0)::numeric AS min_ftr,
+         COALESCE(MAX(${ftr}), 0)::numeric AS max_ftr
+       FROM salary_records WHERE year_key = $1`,
+      [yk]
+    ),
+    client.query(
+      `SELECT id, person_id, first_name, last_name, title, department, ${ftr} AS ftr
+       FROM salary_records WHERE year_key = $1 ORDER BY ${ftr} DESC NULLS LAST LIMIT 10`,
+      [yk]
+    ),
+    client.query(
+      `SELECT department AS name,
+              COUNT(*)::int AS count,
+              SUM(${ftr})::numeric AS total_ftr,
+              AVG(${ftr})::numeric AS avg_ftr
+       FROM salary_records WHERE year_key = $1 AND department IS NOT NULL AND department != ''
+       GROUP BY department ORDER BY total_ftr DESC NULLS LAST LIMIT 20`,
+      [yk]
+    ),
+    client.query(
+      `WITH heads AS (
+         SELECT year_key, COUNT(*)::int AS count
+         FROM (${headsSql(ftr, 'year_key IN (SELECT year_key FROM fiscal_years WHERE published)')}) h
+         GROUP BY year_key
+       )
+       SELECT f.year_key, f.label,
+              MAX(h.count) AS count,
+              SUM(s.${ftr})::numeric AS total_payroll
+       FROM salary_records s
+       JOIN fiscal_years f ON f.year_key = s.year_key
+       JOIN heads h ON h.year_key = s.year_key
+       WHERE f.published
+       GROUP BY f.year_key, f.label, f.start_date
+       ORDER BY f.start_date DESC
+       LIMIT 10`
+    ),
+    client.query(
+      `WITH buckets AS (
+         SELECT ${histogramBucketSql()} AS bucket
+         FROM (${headsSql(ftr, 'year_key = $1')}) h
+       )
+       SELECT bucket, COUNT(*)::int AS count
+       FROM buckets GROUP BY bucket ORDER BY bucket`,
+      [yk]
+    ),
+    client.query(
+      `SELECT COALESCE(campus, 'Unknown') AS name,
+              COUNT(*)::int AS count,
+              SUM(${ftr})::numeric AS total_ftr
+       FROM salary_records WHERE year_key = $1
+       GROUP BY campus ORDER BY total_ftr DESC NULLS LAST`,
+      [yk]
+    ),
+    client.query(
+      `SELECT department AS name,
+             CASE WHEN ${ftr} < 50000 THEN '0-50k'
+                  WHEN ${ftr} < 100000 THEN '50-100k'
+                  WHEN ${ftr} < 150000 THEN '100-150k'
+                  WHEN ${ftr} < 200000 THEN '150-200k'
+                  WHEN ${ftr} < 250000 THEN '200-250k'
+                  WHEN ${ftr} < 300000 THEN '250-300k'
+                  ELSE '300k+'
+             END AS band,
+             COUNT(*)::int AS count
+       FROM salary_records
+       WHERE year_key = $1 AND department IS NOT NULL AND department != ''
+       GROUP BY department, band
+       HAVING COUNT(*) > 0`,
+      [yk]
+    ),
+    client.query(
+      `WITH ordered AS (
+         SELECT ${ftr}, ROW_NUMBER() OVER (ORDER BY ${ftr}) AS rn,
+                SUM(${ftr}) OVER (ORDER BY ${ftr}) AS cum_ftr,
+                NTILE(20) OVER (ORDER BY ${ftr}) AS tile
+         FROM salary_records WHERE year_key = $1
+       ),
+       totals AS (SELECT SUM(${ftr})::numeric AS total, COUNT(*)::int AS cnt FROM salary_records WHERE year_key = $1),
+       tile_ends AS (
+         SELECT tile, MAX(rn) AS max_rn, MAX(cum_ftr) AS cum_ftr
+         FROM ordered GROUP BY tile
+       )
+       SELECT ROUND((te.max_rn::numeric / t.cnt) * 100, 1) AS pct_employees,
+              ROUND((te.cum_ftr / t.total) * 100, 1) AS pct_payroll
+       FROM tile_ends te, totals t
+       ORDER BY te.tile`,
+      [yk]
+    ),
+    client.query(
+      `WITH top_depts AS (
+         SELECT department
+         FROM salary_records
+         WHERE year_key = $1 AND department IS NOT NULL AND department != ''
+         GROUP BY department
+         ORDER BY SUM(${ftr}) DESC NULLS LAST
+         LIMIT 20
+       ),
+       prof_stats AS (
+         SELECT department, COUNT(*)::int AS prof_count, AVG(${ftr})::numeric AS avg_ftr
+         FROM salary_records
+         WHERE year_key = $1 AND department IS NOT NULL AND department != ''
+           AND title ILIKE '%Professor%'
+         GROUP BY department
+       )
+       SELECT t.department AS name, p.prof_count, p.avg_ftr
+       FROM top_depts t
+       JOIN prof_stats p ON t.department = p.department
+       ORDER BY p.avg_ftr DESC NULLS LAST
+       LIMIT 12`,
+      [yk]
+    ),
+  ]);
+
+  const overviewRow = overviewRes.rows[0];
+  const overview = {
+    headcount: parseInt(overviewRow?.headcount ?? 0, 10),
+    appointments: parseInt(overviewRow?.appointments ?? 0, 10),
+    totalPayroll: Number(overviewRow?.total_payroll ?? 0),
+    meanFtr: Number(overviewRow?.mean_ftr ?? 0),
+    medianFtr: Number(overviewRow?.median_ftr ?? 0),
+    minFtr: Number(overviewRow?.min_ftr ?? 0),
+    maxFtr: Number(overviewRow?.max_ftr ?? 0),
+  };
+
+  const topEarners = topEarnersRes.rows.map((r) => ({
+    id: r.id,
+    personId: r.person_id ?? undefined,
+    firstName: r.first_name ?? '',
+    lastName: r.last_name ?? '',
+    title: r.title ?? '',
+    department: r.department ?? '',
+    ftr: Number(r.ftr),
+  }));
+
+  const departments = deptRes.rows.map((r) => ({
+    name: r.name,
+    count: parseInt(r.count, 10),
+    totalFtr: Number(r.total_ftr),
+    avgFtr: Number(r.avg_ftr),
+  }));
+
+  const yearOverYear = yoyRes.rows.map((r) => ({
+    yearKey: r.year_key,
+    label: r.label,
+    totalPayroll: Number(r.total_payroll),
+    count: parseInt(r.count, 10),
+  }));
+
+  const histogram = histogramFromRows(histogramRes.rows);
+
+  const campus = campusRes.rows.map((r) => ({
+    name: r.name,
+    count: parseInt(r.count, 10),
+    totalFtr: Number(r.total_ftr),
+  }));
+
+  const salaryBands = salaryBandsRes.rows.map((r) => ({
+    department: r.name ?? '',
+    band: r.band ?? '',
+    count: parseInt(r.count, 10),
+  }));
+
+  const concentration = concentrationRes.rows.map((r) => ({
+    pctEmployees: Number(r.pct_employees),
+    pctPayroll: Number(r.pct_payroll),
+  }));
+
+  const professorSalaries = professorSalariesRes.rows.map((r) => ({
+    department: r.name ?? '',
+    profCount: parseInt(r.prof_count, 10),
+    avgFtr: Number(r.avg_ftr),
+  }));
+
+  return {
+    yearKey: yk,
+    pay,
+    overview,
+    topEarners,
+    departments,
+    yearOverYear,
+    histogram,
+    campus,
+    salaryBands,
+    concentration,
+    professorSalaries,
+  };
+}
+
+// Snapshot sections: analytics_snapshots column -> compute(client, yearKey)
+const SECTIONS = {
+  data: computeAnalytics,
+  data_fte: (client, yearKey) => computeAnalytics(client, yearKey, { pay: 'fte' }),
+  raises: computeRaises,
+  funding: computeFunding,
+};
+
+async function computeSnapshot(client, yearKey) {
+  const snapshot = {};
+  for (const [column, compute] of Object.entries(SECTIONS)) {
+    snapshot[column] = await compute(client, yearKey);
+  }
+  return snapshot;
+}
+
+async function storeSnapshot(client, yearKey, snapshot) {
+  const columns = Object.keys(SECTIONS);
+  const { rows } = await client.query(
+    `INSERT INTO analytics_snapshots (year_key, ${columns.join(', ')}, generated_at)
+     VALUES ($1, ${columns.map((_, i) => `$${i + 2}`).join(', ')}, NOW())
+     ON CONFLICT (year_key) DO UPDATE SET ${columns.map((c) => `${c} = EXCLUDED.${c}`).join(', ')}, generated_at = EXCLUDED.generated_at
+     RETURNING generated_at`,
+    [yearKey, ...columns.map((c) => snapshot[c])]
+  );
+  return rows[0].generated_at;
+}
+
+/**
+ * Recompute and store snapshots for every published year (or just yearKeys), and drop
+ * snapshots of years that are no longer published. Returns the number of years refreshed.
+ */
+export async function refreshAnalytics(client, { yearKeys } = {}) {
+  await client.query(
+    `DELETE FROM analytics_snapshots a
+     USING fiscal_years f
+     WHERE f.year_key = a.year_key AND NOT f.published`
+  );
+  const { rows } = await client.query(
+    `SELECT year_key FROM fiscal_years WHERE published ${yearKeys ? 'AND year_key = ANY($1::int[])' : ''}`,
+    yearKeys ? [yearKeys] : []
+  );
+  for (const { year_key: yearKey } of rows) {
+    await storeSnapshot(client, yearKey, await computeSnapshot(client, yearKey));
+  }
+  return rows.length;
+}
+
+/**
+ * One snapshot section for a published year as { data, generatedAt } (section 'data' is the
+ * main /api/analytics payload). A year without a snapshot yet (e.g. right after deploying or
+ * adding a section) is computed and stored on first read; null for unknown or unpublished years.
+ */
+export async function readAnalytics(client, yearKey, section = 'data') {
+  if (!SECTIONS[section]) throw new Error(`Unknown analytics section: ${section}`);
+  const { rows } = await client.query(
+    `SELECT f.year_key, a.${section} AS data, a.generated_at
+     FROM fiscal_years f
+     LEFT JOIN analytics_snapshots a ON a.year_key = f.year_key
+     WHERE f.year_key = $1 AND f.published`,
+    [yearKey]
+  );
+  if (!rows[0]) return null;
+  if (rows[0].data != null) return { data: rows[0].data, generatedAt: rows[0].generated_at };
+
+  const snapshot = await computeSnapshot(client, yearKey);
+  return { data: snapshot[section], generatedAt: await storeSnapshot(client, yearKey, snapshot) };
+}
@@ -0,0 +1,36 @@
+/**
+ * Appointment basis and FTE of a record, and the pay column analytics and search read.
+ *
+ * Disclosures publish period/FTE as a basis and a fraction ("9-Month 0.50"), stored in
+ * salary_records as basis_months and fte_fraction (period_fte keeps the combined display
+ * string, e.g. "9Month0.50"). FTR is already the full-time rate for the appointment's basis, so
+ * a half-time professor's FTR matches a full-time colleague's; what it does not normalize is the
+ * basis. fte_ftr (a generated column) is FTR scaled to a 12-month year: the full-time-equivalent
+ * annual rate. fte_fraction is not applied to either.
+ *
+ * GF, on the other hand, is the general-fund dollars actually paid for the appointment, so it
+ * is compared with the salary paid at the appointment's effort (PAID_SQL), not with FTR.
+ */
+
+/** Pay basis (?pay=) -> salary_records column. */
+export const PAY_COLUMNS = {
+  disclosed: 'ftr',
+  fte: 'fte_ftr',
+};
+
+/** SQL for a record's effort as a fraction of full time; missing or zero counts as full time, as the importers default it. */
+export const EFFORT_SQL = 'COALESCE(NULLIF(fte_fraction, 0), 1)';
+
+/** SQL for the salary paid for a record's appointment: FTR at its effort. */
+export const PAID_SQL = `(ftr * ${EFFORT_SQL})`;
+
+/** A ?pay= value as a PAY_COLUMNS key (default 'disclosed'); null if it is not one. */
+export function parsePay(value) {
+  const pay = String(value || 'disclosed').toLowerCase();
+  return Object.hasOwn(PAY_COLUMNS, pay) ? pay : null;
+}
+
+/** period_fte display string, e.g. (9, 0.5) -> "9Month0.50". */
+export function formatPeriodFte(basisMonths, fteFraction) {
+  return `${basisMonths}Month${Number(fteFraction).toFixed(2)}`;
+}
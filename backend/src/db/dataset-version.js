@@ -0,0 +1,22 @@
+/**
+ * Dataset version: a counter in dataset_version that every script changing salary data bumps.
+ * The API keys its ETags and response cache on it (see src/http-cache.js), so a bump is what
+ * makes clients and the in-process cache drop responses computed from older data.
+ */
+
+/** Current version number. */
+export async function getDatasetVersion(client) {
+  const { rows } = await client.query('SELECT version FROM dataset_version');
+  return rows[0] ? Number(rows[0].version) : 0;
+}
+
+/** Increment the version after a data change; reason is kept for `npm run db:check`. Returns the new version. */
+export async function bumpDatasetVersion(client, reason) {
+  const { rows } = await client.query(
+    `INSERT INTO dataset_version (id, version, reason, updated_at) VALUES (TRUE, 2, $1, NOW())
+     ON CONFLICT (id) DO UPDATE SET version = dataset_version.version + 1, reason = EXCLUDED.reason, updated_at = NOW()
+     RETURNING version`,
+    [reason ?? null]
+  );
+  return Number(rows[0].version);
+}
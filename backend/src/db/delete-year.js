@@ -0,0 +1,23 @@
+/**
+ * Delete a year's salary records and unpublish it in the fiscal year registry, in one
+ * transaction holding the write lock (post-import.js), so it never overlaps an import. The deleted rows are kept in salary_record_changes; undoing the returned change
+ * batch (npm run changes:undo) restores them. Used by src/scripts/delete-year.js and
+ * DELETE /api/admin/years/:yearKey.
+ */
+import { findFiscalYear } from './fiscal-years.js';
+import { runPostImport, withWriteLock } from './post-import.js';
+import { newChangeBatch, deleteRecords } from './record-changes.js';
+
+/** Returns { label, deleted, batchId }. */
+export async function deleteYear(client, yearKey, { actor = 'delete-year', reason = null } = {}) {
+  const year = await findFiscalYear(client, { yearKey });
+  const label = year?.label ?? `year_key ${yearKey}`;
+  const batch = newChangeBatch({ actor, reason: reason ?? `delete ${label}` });
+  return withWriteLock(client, async () => {
+    const deleted = await deleteRecords(client, batch, 'year_key = $1', [yearKey]);
+    await client.query('UPDATE fiscal_years SET published = FALSE, imported_at = NULL WHERE year_key = $1', [yearKey]);
+    // Linking drops people left without records; the following year loses its change baseline
+    await runPostImport(client, { reason: `${actor} ${label}` });
+    return { label, deleted, batchId: batch.id };
+  });
+}
@@ -0,0 +1,101 @@
+/**
+ * Fiscal year registry (fiscal_years table): the single source of truth for year_key -> label.
+ *
+ * year_key is a stable id, not a position: the historical keys (0 = 2025-26, 1 = 2024-25, ...)
+ * are kept, and a new year gets the next unused key. Order years by start_date, never by key.
+ * Labels are the fiscal year's first calendar year ("2025" = July 2025 - June 2026).
+ */
+import { bumpDatasetVersion } from './dataset-version.js';
+
+// Advisory lock key for registering a year ('umfy')
+const REGISTER_LOCK = 0x756d6679;
+
+const COLUMNS = `year_key, label, fiscal_year, published, source_document, imported_at,
+  to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date`;
+
+/** "2025" -> "2025-26" */
+export function fiscalYearName(label) {
+  const start = parseInt(label, 10);
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+/** Pull a four-digit fiscal year label out of a file name or URL (e.g. salary_record_2025.pdf -> "2025"). */
+export function labelFromFileName(name) {
+  const m = String(name || '').match(/(?:^|[^\d])((?:19|20)\d{2})(?:[^\d]|$)/);
+  return m ? m[1] : null;
+}
+
+/** Registry rows, newest first. */
+export async function listFiscalYears(client, { publishedOnly = false } = {}) {
+  const { rows } = await client.query(
+    `SELECT ${COLUMNS} FROM fiscal_years
+     ${publishedOnly ? 'WHERE published' : ''}
+     ORDER BY start_date DESC`
+  );
+  return rows;
+}
+
+/**
+ * The year_key a request's ?year= names; without one (or when it is not a number), the newest
+ * published year. null when no year is published.
+ */
+export async function resolveYearKey(client, value) {
+  const yearKey = parseInt(value, 10);
+  if (!Number.isNaN(yearKey)) return yearKey;
+  const { rows } = await client.query('SELECT year_key FROM fiscal_years WHERE published ORDER BY start_date DESC LIMIT 1');
+  return rows[0]?.year_key ?? null;
+}
+
+/** Look up one year by key or label; null when unknown. */
+export async function findFiscalYear(client, { yearKey, label }) {
+  const { rows } = yearKey != null
+    ? await client.query(`SELECT ${COLUMNS} FROM fiscal_years WHERE year_key = $1`, [yearKey])
+    : await client.query(`SELECT ${COLUMNS} FROM fiscal_years WHERE label = $1`, [String(label)]);
+  return rows[0] ?? null;
+}
+
+/**
+ * Return the year for a label, registering it (unpublished, next free key) if it is new. Runs
+ * its own transaction, so call it outside one: imports starting side by side would otherwise
+ * read the same MAX(year_key), and the lock makes the second wait for the first to commit.
+ */
+export async function ensureFiscalYear(client, label) {
+  const start = parseInt(label, 10);
+  if (!Number.isFinite(start)) throw new Error(`Invalid fiscal year label: ${label}`);
+  await client.query('BEGIN');
+  try {
+    await client.query('SELECT pg_advisory_xact_lock($1)', [REGISTER_LOCK]);
+    await client.query(
+      `INSERT INTO fiscal_years (year_key, label, fiscal_year, start_date, end_date)
+       SELECT COALESCE(MAX(year_key), -1) + 1, $1, $2, make_date($3, 7, 1), make_date($3 + 1, 6, 30)
+       FROM fiscal_years
+       ON CONFLICT (label) DO NOTHING`,
+      [String(start), fiscalYearName(start), start]
+    );
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+  return findFiscalYear(client, { label: start });
+}
+
+/** Record a finished import of a year and publish it. */
+export async function markYearImported(client, yearKey, sourceDocument) {
+  await client.query(
+    `UPDATE fiscal_years SET published = TRUE, imported_at = NOW(), source_document = COALESCE($2, source_document)
+     WHERE year_key = $1`,
+    [yearKey, sourceDocument ?? null]
+  );
+}
+
+/**
+ * Publish or unpublish a year (its records stay stored) and bump the dataset version so cached
+ * year lists are dropped. Returns the updated year, or null when the key is unknown.
+ */
+export async function setYearPublished(client, yearKey, published, { reason } = {}) {
+  const { rowCount } = await client.query('UPDATE fiscal_years SET published = $2 WHERE year_key = $1', [yearKey, published]);
+  if (!rowCount) return null;
+  await bumpDatasetVersion(client, reason ?? `${published ? 'publish' : 'unpublish'} year_key ${yearKey}`);
+  return findFiscalYear(client, { yearKey });
+}
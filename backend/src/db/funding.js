@@ -0,0 +1,120 @@
+/**
+ * Funding mix: how much of the salary paid comes from the general fund (GF) rather than grants,
+ * clinical revenue, gifts and other external sources.
+ *
+ * Shares are GF dollars over the salary paid at each appointment's effort (PAID_SQL in
+ * appointment.js). Stored per year as the analytics_snapshots 'funding' section.
+ */
+import { PAID_SQL } from './appointment.js';
+
+// Smallest department reported in shares and unit lists, and how many departments per list
+const MIN_UNIT = 10;
+const MAX_DEPARTMENTS = 100;
+const MAX_UNITS = 25;
+
+// A unit at or above this GF share (percent) counts as fully GF-funded; rounding leaves a few cents
+const FULLY_GF_PCT = 99.5;
+
+/**
+ * Title families, first match wins (case-insensitive regular expressions). Titles are free text
+ * in the disclosures, so families are coarse: enough to compare faculty, clinical and staff
+ * funding, not a job classification.
+ */
+const TITLE_FAMILIES = [
+  ['Clinical faculty', '^clin(ical)? .*(prof|instructor|lecturer)'],
+  ['Research faculty', 'res(earch)? (scientist|prof|investigator)'],
+  ['Lecturers', 'lecturer'],
+  ['Professors', 'prof'],
+  ['House officers', '^house officer'],
+  ['Fellows and postdocs', 'fellow|postdoc'],
+  ['Nursing', 'nurse|nursing|^np '],
+  ['Research staff', '^research|^res |lab |laborator|statistician|bioinfo|animal'],
+  ['Clinical staff', 'patient|medical|pharmac|therap|technologist|technician|phlebotom|social worker|clin|health|^pa |dietitian|dietetic|sono|dialysis|^or |psych|specimen'],
+  [
+    'Facilities and services',
+    'custodian|cleaner|food|cook|kitchen|security|police|stockkeeper|maint|trades|mechanic|electrician|plumber|carpenter|driver|transit|waste|guest|grounds',
+  ],
+  [
+    'Administrative and professional',
+    'admin|manager|mgr|dir|dean|coord|analyst|specialist|assistant|asst|programmer|clerk|secretary|rep\\M|officer|advisor|librar|consultant|designer|buyer|support|^hr ',
+  ],
+];
+
+function titleFamilySql() {
+  return `CASE
+           ${TITLE_FAMILIES.map(([family, pattern]) => `WHEN title ~* '${pattern}' THEN '${family}'`).join('\n           ')}
+           ELSE 'Other'
+         END`;
+}
+
+const MIX = `COUNT(*)::int AS count,
+    SUM(${PAID_SQL})::numeric AS paid,
+    SUM(gf)::numeric AS gf`;
+
+function mix(r) {
+  const paid = Number(r.paid) || 0;
+  const gf = Number(r.gf) || 0;
+  return {
+    count: parseInt(r.count, 10),
+    payroll: Math.round(paid),
+    gf: Math.round(gf),
+    gfSharePct: paid > 0 ? Math.round((gf / paid) * 1000) / 10 : 0,
+  };
+}
+
+/**
+ * Funding mix for one year: overall; by department (at least MIN_UNIT records, largest payroll
+ * first), campus and title family; the overall share across published years; and departments
+ * funded entirely externally (no GF) or entirely from the GF.
+ */
+export async function computeFunding(client, yearKey) {
+  const grouped = (expr, { minCount = 1, limit = null } = {}) => client.query(
+    `SELECT ${expr} AS name, ${MIX}
+     FROM salary_records
+     WHERE year_key = $1 AND NULLIF(${expr}, '') IS NOT NULL
+     GROUP BY 1
+     HAVING COUNT(*) >= ${minCount}
+     ORDER BY paid DESC NULLS LAST, name
+     ${limit ? `LIMIT ${limit}` : ''}`,
+    [yearKey]
+  );
+
+  const [overallRes, deptRes, campusRes, familyRes, trendRes, unitsRes] = await Promise.all([
+    client.query(`SELECT ${MIX} FROM salary_records WHERE year_key = $1`, [yearKey]),
+    grouped('department', { minCount: MIN_UNIT, limit: MAX_DEPARTMENTS }),
+    grouped('campus'),
+    grouped(titleFamilySql()),
+    client.query(
+      `SELECT f.year_key, f.label, ${MIX}
+       FROM salary_records s
+       JOIN fiscal_years f ON f.year_key = s.year_key
+       WHERE f.published
+       GROUP BY f.year_key, f.label, f.start_date
+       ORDER BY f.start_date`
+    ),
+    client.query(
+      `SELECT department AS name, ${MIX}
+       FROM salary_records
+       WHERE year_key = $1 AND NULLIF(department, '') IS NOT NULL
+       GROUP BY department
+       HAVING COUNT(*) >= ${MIN_UNIT}
+          AND (SUM(gf) = 0 OR SUM(gf) >= SUM(${PAID_SQL}) * ${FULLY_GF_PCT / 100})
+       ORDER BY paid DESC NULLS LAST, name`,
+      [yearKey]
+    ),
+  ]);
+
+  const named = (rows) => rows.map((r) => ({ name: r.name, ...mix(r) }));
+  const fullyExternal = named(unitsRes.rows.filter((r) => Number(r.gf) === 0));
+  const fullyGf = named(unitsRes.rows.filter((r) => Number(r.gf) > 0));
+
+  return {
+    overall: mix(overallRes.rows[0]),
+    byDepartment: named(deptRes.rows),
+    byCampus: named(campusRes.rows),
+    byTitleFamily: named(familyRes.rows),
+    trend: trendRes.rows.map((r) => ({ yearKey: r.year_key, label: r.label, ...mix(r) })),
+    fullyExternal: { total: fullyExternal.length, units: fullyExternal.slice(0, MAX_UNITS) },
+    fullyGf: { total: fullyGf.length, units: fullyGf.slice(0, MAX_UNITS) },
+  };
+}
@@ -0,0 +1,64 @@
+/**
+ * Import run log (import_runs table): one row per import, so every salary_records row can be
+ * traced to the adapter, source and checksum it came from (salary_records.import_run_id).
+ *
+ * A run is inserted as 'running' when an import starts and closed as 'succeeded' or 'failed'
+ * with its counts and duration. Runs are kept when their records are deleted.
+ */
+
+const COLUMNS = `r.id, r.adapter, r.source, r.checksum, r.year_key, f.label, r.status,
+  r.parsed, r.inserted, r.updated, r.retired, r.skipped, r.failed, r.held, r.error, r.options, r.started_at, r.finished_at, r.duration_ms`;
+
+/** Open a run; returns its id. */
+export async function startImportRun(client, { adapter, source, yearKey, options = {} }) {
+  const { rows } = await client.query(
+    `INSERT INTO import_runs (adapter, source, year_key, options) VALUES ($1, $2, $3, $4) RETURNING id`,
+    [adapter, source, yearKey, JSON.stringify(options)]
+  );
+  return rows[0].id;
+}
+
+/**
+ * Close a run with its checksum and counts; status is 'succeeded' unless error is given.
+ * updated and retired are rows changed or deleted by a reconcile run, held the rows validation
+ * kept out, quality its report (src/import/validate.js).
+ */
+export async function finishImportRun(client, id, {
+  checksum, parsed, inserted, updated = 0, retired = 0, skipped, failed, held = 0, quality = null, error = null,
+}) {
+  await client.query(
+    `UPDATE import_runs
+     SET status = $2, checksum = $3, parsed = $4, inserted = $5, updated = $6, retired = $7, skipped = $8, failed = $9,
+         held = $10, quality = COALESCE($11, quality), error = $12, finished_at = NOW(),
+         duration_ms = (EXTRACT(EPOCH FROM clock_timestamp() - started_at) * 1000)::int
+     WHERE id = $1`,
+    [id, error ? 'failed' : 'succeeded', checksum ?? null, parsed, inserted, updated, retired, skipped, failed, held,
+      quality ? JSON.stringify(quality) : null, error]
+  );
+}
+
+/** Recent runs, newest first, optionally for one year. */
+export async function listImportRuns(client, { yearKey = null, limit = 50 } = {}) {
+  const { rows } = await client.query(
+    `SELECT ${COLUMNS}, (SELECT COUNT(*)::int FROM salary_records s WHERE s.import_run_id = r.id) AS records
+     FROM import_runs r
+     JOIN fiscal_years f ON f.year_key = r.year_key
+     WHERE $1::int IS NULL OR r.year_key = $1
+     ORDER BY r.started_at DESC, r.id DESC
+     LIMIT $2`,
+    [yearKey, limit]
+  );
+  return rows;
+}
+
+/** One run with its quality report and current record count; null when unknown. */
+export async function findImportRun(client, id) {
+  const { rows } = await client.query(
+    `SELECT ${COLUMNS}, r.quality, (SELECT COUNT(*)::int FROM salary_records s WHERE s.import_run_id = r.id) AS records
+     FROM import_runs r
+     JOIN fiscal_years f ON f.year_key = r.year_key
+     WHERE r.id = $1`,
+    [id]
+  );
+  return rows[0] ?? null;
+}
@@ -0,0 +1,165 @@
+/**
+ * Schema migrations: numbered SQL files in db/migrations, NNN_name.up.sql and (optionally)
+ * NNN_name.down.sql to undo it. Applied versions are recorded in schema_migrations with the
+ * checksum of their up file. 001_baseline is the schema from before migrations existed.
+ *
+ * Each migration runs in one transaction with its schema_migrations row, and migrate/rollback
+ * hold an advisory lock so two processes (e.g. containers starting together) never run them at
+ * once. Adding a column or index means adding a migration, not editing an applied one.
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Advisory lock key for migrate/rollback ('ummg')
+const MIGRATION_LOCK = 0x756d6d67;
+const FILE = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+/** Migration files of dir in version order: [{ version, name, up, down, checksum }]; down is null when missing. */
+export function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(dir).sort()) {
+    const m = file.match(FILE);
+    if (!m) continue;
+    const version = parseInt(m[1], 10);
+    const migration = byVersion.get(version) ?? { version, name: m[2], up: null, down: null, checksum: null };
+    if (migration.name !== m[2]) throw new Error(`Two migrations numbered ${version}: ${migration.name} and ${m[2]}`);
+    const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+    if (m[3] === 'up') {
+      migration.up = sql;
+      migration.checksum = crypto.createHash('sha256').update(sql).digest('hex');
+    } else {
+      migration.down = sql;
+    }
+    byVersion.set(version, migration);
+  }
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  const orphan = migrations.find((m) => m.up == null);
+  if (orphan) throw new Error(`Migration ${label(orphan)} has a down file but no up file`);
+  return migrations;
+}
+
+function label(m) {
+  return `${String(m.version).padStart(3, '0')}_${m.name}`;
+}
+
+/** Applied rows by version; empty when schema_migrations does not exist yet (read-only safe). */
+async function appliedVersions(client) {
+  const { rows: [{ exists }] } = await client.query(`SELECT to_regclass('schema_migrations') IS NOT NULL AS exists`);
+  if (!exists) return new Map();
+  const { rows } = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(rows.map((r) => [r.version, r]));
+}
+
+/**
+ * Every migration with its state: [{ version, name, label, applied, appliedAt, modified, missing }].
+ * modified: the up file changed after it was applied; missing: applied, but no file in this
+ * checkout (the database is ahead of the code).
+ */
+export async function migrationStatus(client, { dir = MIGRATIONS_DIR } = {}) {
+  const migrations = loadMigrations(dir);
+  const applied = await appliedVersions(client);
+  const status = migrations.map((m) => {
+    const row = applied.get(m.version);
+    return {
+      version: m.version,
+      name: m.name,
+      label: label(m),
+      applied: Boolean(row),
+      appliedAt: row?.applied_at ?? null,
+      modified: Boolean(row) && row.checksum !== m.checksum,
+      missing: false,
+    };
+  });
+  for (const row of applied.values()) {
+    if (migrations.some((m) => m.version === row.version)) continue;
+    status.push({ version: row.version, name: row.name, label: label(row), applied: true, appliedAt: row.applied_at, modified: false, missing: true });
+  }
+  return status.sort((a, b) => a.version - b.version);
+}
+
+async function withLock(client, fn) {
+  await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK]);
+  try {
+    return await fn();
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK]);
+  }
+}
+
+async function inTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
+
+/**
+ * Apply pending migrations in version order, up to version to (default: all). Stops at the first
+ * one that fails; the ones before it stay applied. Returns the labels applied.
+ */
+export async function migrate(client, { to = Infinity, dir = MIGRATIONS_DIR, log = console.log } = {}) {
+  const migrations = loadMigrations(dir);
+  return withLock(client, async () => {
+    await client.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`);
+    const applied = await appliedVersions(client);
+    const done = [];
+    for (const m of migrations) {
+      if (applied.has(m.version) || m.version > to) continue;
+      const started = Date.now();
+      try {
+        await inTransaction(client, async () => {
+          await client.query(m.up);
+          await client.query('INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)', [m.version, m.name, m.checksum]);
+        });
+      } catch (err) {
+        throw new Error(`Migration ${label(m)} failed: ${err.message}`);
+      }
+      log('Applied %s (%d ms)', label(m), Date.now() - started);
+      done.push(label(m));
+    }
+    return done;
+  });
+}
+
+/**
+ * Undo applied migrations, newest first: the last steps of them (default 1), or every one after
+ * version to. Each needs a down file. Returns the labels rolled back.
+ */
+export async function rollback(client, { steps = 1, to = null, dir = MIGRATIONS_DIR, log = console.log } = {}) {
+  const migrations = new Map(loadMigrations(dir).map((m) => [m.version, m]));
+  return withLock(client, async () => {
+    const applied = [...(await appliedVersions(client)).keys()].sort((a, b) => b - a);
+    const versions = to != null ? applied.filter((v) => v > to) : applied.slice(0, steps);
+    const done = [];
+    for (const version of versions) {
+      const m = migrations.get(version);
+      if (!m) throw new Error(`Migration ${version} is applied but has no files here; cannot roll it back`);
+      if (m.down == null) throw new Error(`Migration ${label(m)} has no down file; cannot roll it back`);
+      try {
+        await inTransaction(client, async () => {
+          await client.query(m.down);
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+        });
+      } catch (err) {
+        throw new Error(`Rolling back ${label(m)} failed: ${err.message}`);
+      }
+      log('Rolled back %s', label(m));
+      done.push(label(m));
+    }
+    return done;
+  });
+}
@@ -0,0 +1,13 @@
+-- Drops every table of the baseline, and with them all salary data. The pg_trgm extension is
+-- left installed: other databases on the server may use it.
+DROP TABLE IF EXISTS
+  dataset_version,
+  analytics_snapshots,
+  salary_record_quarantine,
+  salary_record_changes,
+  person_years,
+  salary_records,
+  import_runs,
+  people,
+  fiscal_years
+CASCADE;
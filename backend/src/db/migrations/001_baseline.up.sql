@@ -0,0 +1,217 @@
+-- Baseline: the schema as src/db/schema.sql had it before migrations (src/db/migrations.js).
+-- Every statement is idempotent, so databases created from that file apply it without changes.
+-- Later changes go in new numbered migrations, never in this file.
+
+-- Trigram matching for fuzzy name search
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Campuses: 0 = All, 1 = Ann Arbor, 2 = Dearborn, 3 = Flint
+
+-- Fiscal year registry (see db/fiscal-years.js). year_key is a stable id: historical keys are
+-- 0 = 2025-26, 1 = 2024-25, ...; new years take the next unused key. Order by start_date.
+CREATE TABLE IF NOT EXISTS fiscal_years (
+  year_key INTEGER PRIMARY KEY,
+  label VARCHAR(20) NOT NULL UNIQUE,
+  fiscal_year VARCHAR(20) NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  published BOOLEAN NOT NULL DEFAULT FALSE,
+  source_document TEXT,
+  imported_at TIMESTAMPTZ
+);
+
+INSERT INTO fiscal_years (year_key, label, fiscal_year, start_date, end_date)
+SELECT k, (2025 - k)::text, (2025 - k) || '-' || lpad(((2026 - k) % 100)::text, 2, '0'),
+       make_date(2025 - k, 7, 1), make_date(2026 - k, 6, 30)
+FROM generate_series(0, 23) AS k
+ON CONFLICT DO NOTHING;
+
+-- People: stable identity linking salary_records across years (see db/people.js).
+-- first_name/last_name hold the name from the person's most recent record.
+CREATE TABLE IF NOT EXISTS people (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  first_name VARCHAR(255),
+  last_name VARCHAR(255) NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS salary_records (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  first_name VARCHAR(255),
+  last_name VARCHAR(255) NOT NULL,
+  title VARCHAR(500),
+  department VARCHAR(500),
+  fiscal_year VARCHAR(20),
+  year_key INTEGER NOT NULL,
+  campus VARCHAR(100),
+  campus_id INTEGER,
+  ftr NUMERIC(14, 2) NOT NULL DEFAULT 0,
+  gf NUMERIC(14, 2) NOT NULL DEFAULT 0,
+  period_fte VARCHAR(50),
+  change_from_last_year_pct NUMERIC(6, 2),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Years loaded before the registry existed: publish any year that has records but no import date
+UPDATE fiscal_years f SET published = TRUE, imported_at = NOW()
+WHERE f.imported_at IS NULL AND EXISTS (SELECT 1 FROM salary_records s WHERE s.year_key = f.year_key);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'salary_records_year_key_fkey') THEN
+    ALTER TABLE salary_records ADD CONSTRAINT salary_records_year_key_fkey
+      FOREIGN KEY (year_key) REFERENCES fiscal_years(year_key);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_salary_last_name ON salary_records(last_name);
+CREATE INDEX IF NOT EXISTS idx_salary_first_name ON salary_records(first_name);
+CREATE INDEX IF NOT EXISTS idx_salary_title ON salary_records(title);
+CREATE INDEX IF NOT EXISTS idx_salary_department ON salary_records(department);
+CREATE INDEX IF NOT EXISTS idx_salary_year_key ON salary_records(year_key);
+CREATE INDEX IF NOT EXISTS idx_salary_campus ON salary_records(campus_id);
+CREATE INDEX IF NOT EXISTS idx_salary_name_year ON salary_records(last_name, first_name, year_key);
+CREATE INDEX IF NOT EXISTS idx_salary_last_name_trgm ON salary_records USING gin (LOWER(last_name) gin_trgm_ops);
+
+-- person_match_score: resolver confidence (0-1) for the link to the person's earlier records;
+-- NULL for a person's first record. person_match_review: link is low-confidence and needs review.
+ALTER TABLE salary_records ADD COLUMN IF NOT EXISTS person_id UUID REFERENCES people(id) ON DELETE SET NULL;
+ALTER TABLE salary_records ADD COLUMN IF NOT EXISTS person_match_score NUMERIC(4, 3);
+ALTER TABLE salary_records ADD COLUMN IF NOT EXISTS person_match_review BOOLEAN NOT NULL DEFAULT FALSE;
+CREATE INDEX IF NOT EXISTS idx_salary_person ON salary_records(person_id, year_key);
+
+-- Appointment basis and FTE parsed from period_fte (src/db/appointment.js), backfilled for rows
+-- imported before these columns existed. fte_ftr is FTR annualized to a 12-month basis.
+ALTER TABLE salary_records ADD COLUMN IF NOT EXISTS basis_months SMALLINT;
+ALTER TABLE salary_records ADD COLUMN IF NOT EXISTS fte_fraction NUMERIC(4, 2);
+UPDATE salary_records
+SET basis_months = (regexp_match(period_fte, '^(\d{1,2})-?Month', 'i'))[1]::smallint,
+    fte_fraction = (regexp_match(period_fte, 'Month\s*(\d+(?:\.\d*)?|\.\d+)$', 'i'))[1]::numeric
+WHERE basis_months IS NULL AND period_fte ~* '^\d{1,2}-?Month\s*(\d+(\.\d*)?|\.\d+)$';
+ALTER TABLE salary_records ADD COLUMN IF NOT EXISTS fte_ftr NUMERIC(14, 2)
+  GENERATED ALWAYS AS (CASE WHEN basis_months BETWEEN 1 AND 11 THEN ROUND(ftr * 12 / basis_months, 2) ELSE ftr END) STORED;
+
+-- Peer context (src/db/peer-ranks.js): percentile rank (0-100) and median FTR among the same
+-- year's records with the same title, department and campus; NULL for groups under 5 records
+ALTER TABLE salary_records ADD COLUMN IF NOT EXISTS title_pct_rank NUMERIC(4, 1);
+ALTER TABLE salary_records ADD COLUMN IF NOT EXISTS title_median_ftr NUMERIC(14, 2);
+ALTER TABLE salary_records ADD COLUMN IF NOT EXISTS department_pct_rank NUMERIC(4, 1);
+ALTER TABLE salary_records ADD COLUMN IF NOT EXISTS department_median_ftr NUMERIC(14, 2);
+ALTER TABLE salary_records ADD COLUMN IF NOT EXISTS campus_pct_rank NUMERIC(4, 1);
+ALTER TABLE salary_records ADD COLUMN IF NOT EXISTS campus_median_ftr NUMERIC(14, 2);
+
+-- Per-person-per-year rollup of concurrent appointments (src/db/person-years.js); rebuilt after imports
+CREATE TABLE IF NOT EXISTS person_years (
+  person_id UUID NOT NULL REFERENCES people(id) ON DELETE CASCADE,
+  year_key INT NOT NULL REFERENCES fiscal_years(year_key) ON DELETE CASCADE,
+  appointment_count INT NOT NULL,
+  total_ftr NUMERIC(14, 2) NOT NULL,
+  total_fte_ftr NUMERIC(14, 2) NOT NULL,
+  total_gf NUMERIC(14, 2) NOT NULL,
+  primary_record_id UUID NOT NULL REFERENCES salary_records(id) ON DELETE CASCADE,
+  PRIMARY KEY (person_id, year_key)
+);
+CREATE INDEX IF NOT EXISTS idx_person_years_year ON person_years(year_key);
+
+-- Import run log (src/db/import-runs.js, src/import/pipeline.js): one row per import with its
+-- adapter, source, SHA-256 checksum and counts. Every salary_records row references its run;
+-- rows loaded before the log existed get one 'legacy' run per year.
+CREATE TABLE IF NOT EXISTS import_runs (
+  id SERIAL PRIMARY KEY,
+  adapter VARCHAR(50) NOT NULL,
+  source TEXT NOT NULL,
+  checksum CHAR(64),
+  year_key INT NOT NULL REFERENCES fiscal_years(year_key),
+  status VARCHAR(20) NOT NULL DEFAULT 'running',
+  parsed INT NOT NULL DEFAULT 0,
+  inserted INT NOT NULL DEFAULT 0,
+  skipped INT NOT NULL DEFAULT 0,
+  failed INT NOT NULL DEFAULT 0,
+  error TEXT,
+  options JSONB NOT NULL DEFAULT '{}',
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ,
+  duration_ms INT
+);
+CREATE INDEX IF NOT EXISTS idx_import_runs_year ON import_runs(year_key, started_at);
+-- Reconcile runs (src/import/reconcile.js): stored rows whose amounts were corrected, and rows
+-- deleted because the source no longer has them
+ALTER TABLE import_runs ADD COLUMN IF NOT EXISTS updated INT NOT NULL DEFAULT 0;
+ALTER TABLE import_runs ADD COLUMN IF NOT EXISTS retired INT NOT NULL DEFAULT 0;
+-- Validation (src/import/validate.js): rows held back from salary_records, and the run's quality report
+ALTER TABLE import_runs ADD COLUMN IF NOT EXISTS held INT NOT NULL DEFAULT 0;
+ALTER TABLE import_runs ADD COLUMN IF NOT EXISTS quality JSONB;
+
+ALTER TABLE salary_records ADD COLUMN IF NOT EXISTS import_run_id INT REFERENCES import_runs(id);
+WITH legacy AS (
+  INSERT INTO import_runs (adapter, source, year_key, status, parsed, inserted, started_at, finished_at)
+  SELECT 'legacy', COALESCE(f.source_document, 'unknown'), f.year_key, 'succeeded', COUNT(*), COUNT(*),
+         COALESCE(f.imported_at, NOW()), COALESCE(f.imported_at, NOW())
+  FROM salary_records s
+  JOIN fiscal_years f ON f.year_key = s.year_key
+  WHERE s.import_run_id IS NULL
+  GROUP BY f.year_key
+  RETURNING id, year_key
+)
+UPDATE salary_records s SET import_run_id = legacy.id
+FROM legacy
+WHERE s.year_key = legacy.year_key AND s.import_run_id IS NULL;
+ALTER TABLE salary_records ALTER COLUMN import_run_id SET NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_salary_import_run ON salary_records(import_run_id);
+
+-- Change history (src/db/record-changes.js): one row per updated, deleted or restored record,
+-- grouped by batch (one script run). record_id has no foreign key: deleted records keep their history.
+CREATE TABLE IF NOT EXISTS salary_record_changes (
+  id BIGSERIAL PRIMARY KEY,
+  batch_id UUID NOT NULL,
+  record_id UUID NOT NULL,
+  year_key INT NOT NULL,
+  action VARCHAR(10) NOT NULL CHECK (action IN ('insert', 'update', 'delete')),
+  old_values JSONB,
+  new_values JSONB,
+  actor VARCHAR(100) NOT NULL,
+  reason TEXT,
+  undo_of UUID,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_record_changes_batch ON salary_record_changes(batch_id);
+CREATE INDEX IF NOT EXISTS idx_record_changes_record ON salary_record_changes(record_id, changed_at);
+CREATE INDEX IF NOT EXISTS idx_record_changes_undo ON salary_record_changes(undo_of) WHERE undo_of IS NOT NULL;
+
+-- Quarantine (src/db/quarantine.js): source rows the import validation held back (held) or
+-- inserted but flagged for review, with the checks they failed
+CREATE TABLE IF NOT EXISTS salary_record_quarantine (
+  id BIGSERIAL PRIMARY KEY,
+  import_run_id INT NOT NULL REFERENCES import_runs(id) ON DELETE CASCADE,
+  year_key INT NOT NULL,
+  held BOOLEAN NOT NULL,
+  record JSONB NOT NULL,
+  reasons TEXT[] NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_quarantine_run ON salary_record_quarantine(import_run_id);
+CREATE INDEX IF NOT EXISTS idx_quarantine_year ON salary_record_quarantine(year_key);
+
+-- Deduplicate imports: one row per (person, title, department, year)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_salary_import_key ON salary_records (last_name, first_name, title, department, year_key);
+
+-- Precomputed /api/analytics payload per year (see src/db/analytics.js); refreshed after imports
+CREATE TABLE IF NOT EXISTS analytics_snapshots (
+  year_key INT PRIMARY KEY REFERENCES fiscal_years(year_key) ON DELETE CASCADE,
+  data JSONB NOT NULL,
+  generated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+ALTER TABLE analytics_snapshots ADD COLUMN IF NOT EXISTS raises JSONB;
+-- The same payload computed on the full-time-equivalent annual rate (fte_ftr)
+ALTER TABLE analytics_snapshots ADD COLUMN IF NOT EXISTS data_fte JSONB;
+-- General-fund share of payroll (src/db/funding.js)
+ALTER TABLE analytics_snapshots ADD COLUMN IF NOT EXISTS funding JSONB;
+
+-- Dataset version (single row): bumped by every script that changes published data; feeds API ETags
+CREATE TABLE IF NOT EXISTS dataset_version (
+  id BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),
+  version BIGINT NOT NULL DEFAULT 1,
+  reason TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+INSERT INTO dataset_version (id) VALUES (TRUE) ON CONFLICT DO NOTHING;
@@ -0,0 +1 @@
+ALTER TABLE salary_records DROP COLUMN person_match_candidate;
@@ -0,0 +1,5 @@
+-- person_match_candidate: another person this record may belong to. Set when people with the
+-- same name hold appointments in one year and no earlier year tells them apart: each record
+-- gets its own person, flagged with person_match_review, and person_match_score is the score
+-- against the candidate (db/people.js).
+ALTER TABLE salary_records ADD COLUMN person_match_candidate UUID REFERENCES people(id) ON DELETE SET NULL;
@@ -0,0 +1,54 @@
+/**
+ * Peer context for each record: percentile rank and median FTR among records of the same year
+ * with the same title (case-insensitive), the same department, and the same campus.
+ *
+ * Stored on salary_records (<group>_pct_rank, <group>_median_ftr) by the post-import pipeline
+ * so search and person results carry it without window queries at request time. A rank is
+ * PERCENT_RANK as a percentage: 0 for the lowest salary in the group, 100 for the highest.
+ * Groups smaller than MIN_PEERS, and records without the grouping value, stay NULL.
+ */
+
+// A rank among fewer records than this says little about the salary
+const MIN_PEERS = 5;
+
+const GROUPS = {
+  title: "LOWER(NULLIF(title, ''))",
+  department: "NULLIF(department, '')",
+  campus: 'campus_id',
+};
+
+/** Recompute the peer columns for every record. Returns the number of records with a title rank. */
+export async function computePeerRanks(client) {
+  for (const [group, key] of Object.entries(GROUPS)) {
+    await client.query(
+      `WITH grouped AS (
+         SELECT id, year_key, ftr, ${key} AS group_key FROM salary_records
+       ),
+       medians AS (
+         SELECT year_key, group_key, PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY ftr) AS median
+         FROM grouped
+         WHERE group_key IS NOT NULL
+         GROUP BY year_key, group_key
+         HAVING COUNT(*) >= ${MIN_PEERS}
+       ),
+       ranked AS (
+         SELECT g.id,
+                CASE WHEN m.median IS NOT NULL
+                     THEN ROUND((PERCENT_RANK() OVER (PARTITION BY g.year_key, g.group_key ORDER BY g.ftr) * 100)::numeric, 1)
+                END AS pct_rank,
+                ROUND(m.median::numeric, 2) AS median
+         FROM grouped g
+         LEFT JOIN medians m ON m.year_key = g.year_key AND m.group_key = g.group_key
+       )
+       UPDATE salary_records s
+       SET ${group}_pct_rank = r.pct_rank, ${group}_median_ftr = r.median
+       FROM ranked r
+       WHERE r.id = s.id
+         AND (s.${group}_pct_rank IS DISTINCT FROM r.pct_rank OR s.${group}_median_ftr IS DISTINCT FROM r.median)`
+    );
+  }
+  const { rows } = await client.query(
+    'SELECT COUNT(*)::int AS n FROM salary_records WHERE title_pct_rank IS NOT NULL'
+  );
+  return rows[0].n;
+}
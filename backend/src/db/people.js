@@ -0,0 +1,256 @@
+/**
+ * Person resolver: links salary_records rows across year_keys to a stable people.id.
+ *
+ * Disclosures carry no employee id, so rows are linked by continuity. Years are processed
+ * oldest first (by fiscal_years.start_date); each unlinked row is scored against people with
+ * the same last name seen in an earlier year (their most recent year on record):
+ *   first name   exact 0.50, same first word 0.30 ("Aaron" vs "Aaron B")
+ *   department   0.25
+ *   title        0.15
+ *   campus       0.10
+ * Rows with the same name in one year are matched as a group (its best-scoring row decides).
+ * Score >= MATCH_SCORE links a row; REVIEW_SCORE and up links it with person_match_review set so
+ * the link can be checked. A person already claimed this year by another group only takes it at
+ * MATCH_SCORE. A matched group's rows are that person's concurrent appointments; the ones scoring
+ * below MATCH_SCORE themselves are flagged for review.
+ *
+ * A group nothing earlier matches is not merged: same-name rows in a year without history may be
+ * different people. Each row starts its own person, and the rows after the first are flagged
+ * with the first one's person as person_match_candidate, for a reviewer to merge or keep apart.
+ *
+ * Person ids stay stable: a rebuild re-resolves every row, then gives each resolved person the
+ * id of the existing person most of its rows belonged to, so /person/:id links keep working.
+ */
+import { randomUUID } from 'crypto';
+
+export const MATCH_SCORE = 0.75;
+export const REVIEW_SCORE = 0.5;
+
+const BATCH = 1000;
+
+function norm(value) {
+  return (value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function firstWord(value) {
+  return norm(value).split(' ')[0] || '';
+}
+
+/** Continuity score (0-1) between an unlinked row and one of a person's earlier rows. */
+export function scoreMatch(row, prev) {
+  let score = 0;
+  const first = norm(row.first_name);
+  const prevFirst = norm(prev.first_name);
+  if (first === prevFirst) score += 0.5;
+  else if (firstWord(first) && firstWord(first) === firstWord(prevFirst)) score += 0.3;
+  else return 0;
+  if (norm(row.department) && norm(row.department) === norm(prev.department)) score += 0.25;
+  if (norm(row.title) && norm(row.title) === norm(prev.title)) score += 0.15;
+  if (row.campus_id != null && row.campus_id === prev.campus_id) score += 0.1;
+  return Math.round(score * 1000) / 1000;
+}
+
+/**
+ * After a rebuild: give each person resolved under a new id the id of the existing person most
+ * of its rows were linked to (each existing id goes to one person at most). Returns the people
+ * that still need a row in people.
+ */
+function keepPersonIds(links, previous, newPeople) {
+  // new id -> Map(old id -> rows they share)
+  const overlap = new Map();
+  for (const link of links) {
+    const oldId = previous.get(link.id);
+    if (!oldId) continue;
+    if (!overlap.has(link.personId)) overlap.set(link.personId, new Map());
+    const counts = overlap.get(link.personId);
+    counts.set(oldId, (counts.get(oldId) ?? 0) + 1);
+  }
+  const pairs = [];
+  for (const [newId, counts] of overlap) {
+    for (const [oldId, rows] of counts) pairs.push({ newId, oldId, rows });
+  }
+  pairs.sort((a, b) => b.rows - a.rows);
+
+  const rename = new Map();
+  const taken = new Set();
+  for (const { newId, oldId } of pairs) {
+    if (rename.has(newId) || taken.has(oldId)) continue;
+    rename.set(newId, oldId);
+    taken.add(oldId);
+  }
+  for (const link of links) {
+    link.personId = rename.get(link.personId) ?? link.personId;
+    if (link.candidate) link.candidate = rename.get(link.candidate) ?? link.candidate;
+  }
+  return newPeople.filter((p) => !rename.has(p.id));
+}
+
+/**
+ * Link unlinked salary_records rows to people, creating people as needed.
+ * With rebuild, every row is re-resolved from scratch, keeping existing person ids where the
+ * people are still there (see keepPersonIds); this also happens on its own when the unlinked
+ * rows belong to a year older than one already linked.
+ * Returns { linked, review, created }.
+ */
+export async function linkPeople(client, { rebuild = false } = {}) {
+  if (!rebuild) {
+    // Rows are only matched against earlier years, so a year imported behind already-linked
+    // newer years can only be linked by re-resolving everything
+    const { rows: [order] } = await client.query(
+      `SELECT MIN(f.start_date) FILTER (WHERE s.person_id IS NULL) < MAX(f.start_date) FILTER (WHERE s.person_id IS NOT NULL) AS backfill
+       FROM salary_records s
+       JOIN fiscal_years f ON f.year_key = s.year_key`
+    );
+    rebuild = Boolean(order.backfill);
+  }
+
+  // year_seq: 1 = oldest year on record
+  const { rows } = await client.query(
+    `SELECT s.id, s.person_id, s.last_name, s.first_name, s.title, s.department, s.campus_id,
+            DENSE_RANK() OVER (ORDER BY f.start_date) AS year_seq
+     FROM salary_records s
+     JOIN fiscal_years f ON f.year_key = s.year_key
+     ORDER BY f.start_date, s.last_name, s.first_name, s.id`
+  );
+
+  // A rebuild resolves every row again; the current links only decide which ids are kept
+  const previous = new Map();
+  if (rebuild) {
+    for (const row of rows) {
+      if (row.person_id) previous.set(row.id, row.person_id);
+      row.person_id = null;
+    }
+  }
+
+  // last name -> Map(personId -> { seq, rows }) holding each person's latest year seen so far
+  const index = new Map();
+  const remember = (row, personId) => {
+    const key = norm(row.last_name);
+    if (!index.has(key)) index.set(key, new Map());
+    const people = index.get(key);
+    const entry = people.get(personId);
+    if (!entry || entry.seq < row.year_seq) people.set(personId, { seq: row.year_seq, rows: [row] });
+    else if (entry.seq === row.year_seq) entry.rows.push(row);
+  };
+  const nameKey = (row) => `${norm(row.last_name)}|${norm(row.first_name)}`;
+  const bestScore = (row, prevRows) => Math.max(...prevRows.map((prev) => scoreMatch(row, prev)));
+
+  const byYear = new Map();
+  for (const row of rows) {
+    row.year_seq = Number(row.year_seq);
+    if (!byYear.has(row.year_seq)) byYear.set(row.year_seq, []);
+    byYear.get(row.year_seq).push(row);
+  }
+
+  const links = [];
+  let newPeople = [];
+  let linked = 0;
+
+  for (const [seq, yearRows] of byYear) {
+    // Unlinked rows grouped by name; a row of the same name already linked this year anchors its group
+    const groups = new Map();
+    const anchors = new Map();
+    for (const row of yearRows) {
+      if (row.person_id) {
+        remember(row, row.person_id);
+        if (!anchors.has(nameKey(row))) anchors.set(nameKey(row), row);
+      } else {
+        if (!groups.has(nameKey(row))) groups.set(nameKey(row), []);
+        groups.get(nameKey(row)).push(row);
+      }
+    }
+
+    // Candidate pairs of a group and a person last seen in an earlier year, best first
+    const pairs = [];
+    for (const [key, group] of groups) {
+      if (anchors.has(key)) continue;
+      const people = index.get(norm(group[0].last_name));
+      if (!people) continue;
+      for (const [personId, entry] of people) {
+        if (entry.seq >= seq) continue;
+        const score = Math.max(...group.map((row) => bestScore(row, entry.rows)));
+        if (score >= REVIEW_SCORE) pairs.push({ group, personId, entry, score });
+      }
+    }
+    pairs.sort((a, b) => b.score - a.score);
+
+    const assigned = new Map();
+    const claimed = new Set();
+    for (const pair of pairs) {
+      if (assigned.has(pair.group)) continue;
+      if (claimed.has(pair.personId) && pair.score < MATCH_SCORE) continue;
+      assigned.set(pair.group, pair);
+      claimed.add(pair.personId);
+    }
+
+    for (const [key, group] of groups) {
+      const match = assigned.get(group);
+      if (match) {
+        // Each appointment is scored on its own; the ones that do not continue the person's
+        // earlier rows themselves are linked through the group and flagged
+        for (const row of group) {
+          const score = bestScore(row, match.entry.rows);
+          links.push({ id: row.id, personId: match.personId, score, review: score < MATCH_SCORE, candidate: null });
+          linked++;
+        }
+        group.forEach((row) => remember(row, match.personId));
+        continue;
+      }
+      // Same name, same year, nothing earlier to tell them apart: a person each, the rows after
+      // the first (or all, next to a row linked before) flagged with it as the possible match
+      const anchor = anchors.get(key) ?? group[0];
+      for (const row of group) {
+        row.person_id = randomUUID();
+        newPeople.push({ id: row.person_id, first_name: row.first_name, last_name: row.last_name });
+        const candidate = row === anchor ? null : anchor.person_id;
+        links.push({ id: row.id, personId: row.person_id, score: candidate && scoreMatch(row, anchor), review: Boolean(candidate), candidate });
+        remember(row, row.person_id);
+      }
+    }
+  }
+
+  if (rebuild) newPeople = keepPersonIds(links, previous, newPeople);
+
+  for (let b = 0; b < newPeople.length; b += BATCH) {
+    const batch = newPeople.slice(b, b + BATCH);
+    await client.query(
+      `INSERT INTO people (id, first_name, last_name)
+       SELECT * FROM UNNEST($1::uuid[], $2::varchar[], $3::varchar[])`,
+      [batch.map((p) => p.id), batch.map((p) => p.first_name), batch.map((p) => p.last_name)]
+    );
+  }
+
+  for (let b = 0; b < links.length; b += BATCH) {
+    const batch = links.slice(b, b + BATCH);
+    await client.query(
+      `UPDATE salary_records s
+       SET person_id = v.person_id, person_match_score = v.score, person_match_review = v.review,
+           person_match_candidate = v.candidate
+       FROM UNNEST($1::uuid[], $2::uuid[], $3::numeric[], $4::boolean[], $5::uuid[]) AS v(id, person_id, score, review, candidate)
+       WHERE s.id = v.id`,
+      [batch.map((l) => l.id), batch.map((l) => l.personId), batch.map((l) => l.score), batch.map((l) => l.review), batch.map((l) => l.candidate)]
+    );
+  }
+
+  if (links.length > 0 || rebuild) {
+    // Display name follows the most recent record; drop people left without records (e.g. deleted years)
+    await client.query(
+      `UPDATE people p SET first_name = latest.first_name, last_name = latest.last_name
+       FROM (
+         SELECT DISTINCT ON (s.person_id) s.person_id, s.first_name, s.last_name
+         FROM salary_records s
+         JOIN fiscal_years f ON f.year_key = s.year_key
+         WHERE s.person_id IS NOT NULL
+         ORDER BY s.person_id, f.start_date DESC
+       ) latest
+       WHERE p.id = latest.person_id`
+    );
+  }
+  await client.query('DELETE FROM people p WHERE NOT EXISTS (SELECT 1 FROM salary_records s WHERE s.person_id = p.id)');
+
+  return {
+    linked,
+    review: links.filter((l) => l.review).length,
+    created: newPeople.length,
+  };
+}
@@ -0,0 +1,31 @@
+/**
+ * Per-person-per-year rollup (person_years): one row per linked person and year with the
+ * appointment count, total FTR and GF, and the primary appointment.
+ *
+ * Concurrent appointments are usually one job split across units at the same rate (each row's
+ * FTR is the full-time rate, its period_fte the share of effort), so total FTR is not a plain
+ * sum: it is the effort-weighted rate, scaled by the combined effort when that exceeds full
+ * time. One appointment totals its own FTR; 0.5 + 0.5 at $100k totals $100k; two full-time
+ * appointments add up. GF is already the general-fund dollars of each appointment and is summed.
+ *
+ * The primary appointment has the largest effort, then the highest FTR.
+ */
+import { EFFORT_SQL } from './appointment.js';
+
+const totalOf = (column) => `ROUND(SUM(${column} * ${EFFORT_SQL}) / LEAST(SUM(${EFFORT_SQL}), 1), 2)`;
+
+/** Rebuild person_years from salary_records. Returns the number of person-years with more than one appointment. */
+export async function computePersonYears(client) {
+  await client.query('DELETE FROM person_years');
+  await client.query(
+    `INSERT INTO person_years (person_id, year_key, appointment_count, total_ftr, total_fte_ftr, total_gf, primary_record_id)
+     SELECT person_id, year_key, COUNT(*)::int,
+            ${totalOf('ftr')}, ${totalOf('fte_ftr')}, SUM(gf),
+            (ARRAY_AGG(id ORDER BY ${EFFORT_SQL} DESC, ftr DESC, id))[1]
+     FROM salary_records
+     WHERE person_id IS NOT NULL
+     GROUP BY person_id, year_key`
+  );
+  const { rows } = await client.query('SELECT COUNT(*)::int AS n FROM person_years WHERE appointment_count > 1');
+  return rows[0].n;
+}
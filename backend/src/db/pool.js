@@ -1,21 +1,15 @@
 import pg from 'pg';
-import { readFileSync } from 'fs';
-import { fileURLToPath } from 'url';
-import path from 'path';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+import { migrate } from './migrations.js';
 
 const pool = new pg.Pool({
   connectionString: process.env.DATABASE_URL,
 });
 
-const schemaPath = path.join(__dirname, 'schema.sql');
-const schema = readFileSync(schemaPath, 'utf8');
-
-export async function initDb() {
+/** Bring the schema up to date: apply pending migrations (db/migrations.js). */
+export async function initDb({ log } = {}) {
   const client = await pool.connect();
   try {
-    await client.query(schema);
+    await migrate(client, { log });
   } finally {
     client.release();
   }
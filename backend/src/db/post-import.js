@@ -0,0 +1,62 @@
+/**
+ * Post-import pipeline: derived data every script that changes salary_records must rebuild
+ * before it finishes, in dependency order.
+ *   1. person links (people.js)                       - skipped with link: false
+ *   2. per-person-per-year rollup (person-years.js)   - needs person links
+ *   3. change_from_last_year_pct (raises.js)          - needs person links
+ *   4. peer percentile ranks and medians (peer-ranks.js)
+ *   5. analytics snapshots (analytics.js)             - needs 2 and 3
+ *   6. dataset version bump (dataset-version.js)      - invalidates cached API responses
+ *
+ * The rebuild replaces derived rows across all years, so two at once collide (person_years
+ * primary keys, duplicate people). Every write that ends in it runs inside withWriteLock.
+ */
+import { linkPeople } from './people.js';
+import { computePersonYears } from './person-years.js';
+import { computeChangeFromLastYear } from './raises.js';
+import { computePeerRanks } from './peer-ranks.js';
+import { refreshAnalytics } from './analytics.js';
+import { bumpDatasetVersion } from './dataset-version.js';
+
+// Advisory lock key shared by every writer of salary_records and the derived data ('umsa')
+export const WRITE_LOCK = 0x756d7361;
+
+/**
+ * Run fn() in one transaction holding WRITE_LOCK: commits when it resolves and returns its
+ * result, rolls back when it throws. Imports, fixes, undos, relinks and refreshes wait for each
+ * other here instead of rebuilding side by side.
+ */
+export async function withWriteLock(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await client.query('SELECT pg_advisory_xact_lock($1)', [WRITE_LOCK]);
+    const result = await fn();
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
+
+/** Run the pipeline (inside withWriteLock); reason is recorded with the new dataset version. */
+export async function runPostImport(client, { reason, link = true } = {}) {
+  const people = link ? await linkPeople(client) : null;
+  const concurrent = await computePersonYears(client);
+  const changes = await computeChangeFromLastYear(client);
+  const ranked = await computePeerRanks(client);
+  const years = await refreshAnalytics(client);
+  const version = await bumpDatasetVersion(client, reason);
+  return { people, concurrent, changes, ranked, years, version };
+}
+
+/** One-line console summary of a runPostImport result. */
+export function logPostImport({ people, concurrent, changes, ranked, years, version }, { log = console.log } = {}) {
+  if (people) {
+    log('People: linked %d records to earlier years (%d flagged for review), created %d', people.linked, people.review, people.created);
+  }
+  log(
+    'Derived: %d person-years with concurrent appointments, %d records with year-over-year change, %d with peer ranks; analytics refreshed for %d years; dataset version %d',
+    concurrent, changes, ranked, years, version
+  );
+}
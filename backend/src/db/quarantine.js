@@ -0,0 +1,52 @@
+/**
+ * Quarantine (salary_record_quarantine table): source rows the import validation held back or
+ * flagged (src/import/validate.js), with their reasons and the run that read them. Held rows are
+ * not in salary_records; flagged rows are, and are listed here for review.
+ */
+
+const BATCH = 500;
+
+/** Store [{ record, reasons }] for a run; held says whether the rows were kept out of salary_records. */
+export async function quarantineRecords(client, { runId, yearKey, held }, entries) {
+  let stored = 0;
+  for (let b = 0; b < entries.length; b += BATCH) {
+    const chunk = entries.slice(b, b + BATCH);
+    const res = await client.query(
+      `INSERT INTO salary_record_quarantine (import_run_id, year_key, held, record, reasons)
+       SELECT $1, $2, $3, e.record, ARRAY(SELECT jsonb_array_elements_text(e.reasons))
+       FROM unnest($4::jsonb[], $5::jsonb[]) AS e(record, reasons)`,
+      [runId, yearKey, held, chunk.map((e) => JSON.stringify(e.record)), chunk.map((e) => JSON.stringify(e.reasons))]
+    );
+    stored += res.rowCount ?? 0;
+  }
+  return stored;
+}
+
+/**
+ * The latest finished run of a year that has a quality report, with its report; null when the
+ * year has none (imported before validation existed).
+ */
+export async function latestQualityReport(client, yearKey) {
+  const { rows } = await client.query(
+    `SELECT r.id AS run_id, r.adapter, r.source, r.status, r.finished_at, r.quality
+     FROM import_runs r
+     WHERE r.year_key = $1 AND r.quality IS NOT NULL
+     ORDER BY r.started_at DESC, r.id DESC
+     LIMIT 1`,
+    [yearKey]
+  );
+  return rows[0] ?? null;
+}
+
+/** Quarantined rows of a run (held first), up to limit. */
+export async function listQuarantine(client, runId, { limit = 50 } = {}) {
+  const { rows } = await client.query(
+    `SELECT id, held, reasons, record, created_at
+     FROM salary_record_quarantine
+     WHERE import_run_id = $1
+     ORDER BY held DESC, id
+     LIMIT $2`,
+    [runId, limit]
+  );
+  return rows;
+}
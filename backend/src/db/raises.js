@@ -0,0 +1,110 @@
+/**
+ * Year-over-year change (salary_records.change_from_last_year_pct) and raise distributions.
+ *
+ * A record is compared with the same person's record in the fiscal year immediately before it
+ * (start_date one year earlier; a gap in the data leaves it NULL). The earlier record is the
+ * same appointment (title and department) when there is one, otherwise the person's only
+ * record that year if they have exactly one in each year (a promotion or transfer).
+ * Records without a linked person or a comparable earlier record stay NULL.
+ */
+
+// NUMERIC(6, 2) range; a jump from a token appointment to a full salary is clamped, not dropped
+const MAX_PCT = 9999.99;
+
+// Smallest group reported in raise distributions, and how many groups per dimension
+const MIN_GROUP = 20;
+const MAX_GROUPS = 100;
+
+/** Recompute change_from_last_year_pct for every record. Returns the number of records with a value. */
+export async function computeChangeFromLastYear(client) {
+  await client.query(
+    `WITH prev_year AS (
+       SELECT cur.year_key, prev.year_key AS prev_key
+       FROM fiscal_years cur
+       JOIN fiscal_years prev ON prev.start_date = cur.start_date - INTERVAL '1 year'
+     ),
+     counts AS (
+       SELECT person_id, year_key, COUNT(*) AS n
+       FROM salary_records WHERE person_id IS NOT NULL
+       GROUP BY person_id, year_key
+     ),
+     pairs AS (
+       SELECT DISTINCT ON (s.id) s.id, s.ftr, p.ftr AS prev_ftr
+       FROM salary_records s
+       JOIN prev_year y ON y.year_key = s.year_key
+       JOIN salary_records p ON p.year_key = y.prev_key AND p.person_id = s.person_id
+       JOIN counts cs ON cs.person_id = s.person_id AND cs.year_key = s.year_key
+       JOIN counts cp ON cp.person_id = p.person_id AND cp.year_key = p.year_key
+       WHERE (p.title = s.title AND p.department = s.department) OR (cs.n = 1 AND cp.n = 1)
+       ORDER BY s.id, (p.title = s.title AND p.department = s.department) DESC
+     ),
+     changes AS (
+       SELECT s.id,
+              CASE WHEN pr.prev_ftr > 0
+                   THEN LEAST(GREATEST(ROUND((pr.ftr - pr.prev_ftr) / pr.prev_ftr * 100, 2), -100), ${MAX_PCT})
+              END AS pct
+       FROM salary_records s
+       LEFT JOIN pairs pr ON pr.id = s.id
+     )
+     UPDATE salary_records s SET change_from_last_year_pct = c.pct
+     FROM changes c
+     WHERE c.id = s.id AND s.change_from_last_year_pct IS DISTINCT FROM c.pct`
+  );
+  const { rows } = await client.query(
+    'SELECT COUNT(*)::int AS n FROM salary_records WHERE change_from_last_year_pct IS NOT NULL'
+  );
+  return rows[0].n;
+}
+
+function distribution(r) {
+  const [p10, p25, median, p75, p90] = (r.pcts || []).map((v) => Math.round(Number(v) * 100) / 100);
+  return {
+    count: parseInt(r.count, 10),
+    median: median ?? 0,
+    p10: p10 ?? 0,
+    p25: p25 ?? 0,
+    p75: p75 ?? 0,
+    p90: p90 ?? 0,
+    mean: r.mean != null ? Math.round(Number(r.mean) * 100) / 100 : 0,
+    pctNoRaise: r.share_no_raise != null ? Math.round(Number(r.share_no_raise) * 1000) / 10 : 0,
+    pctCut: r.share_cut != null ? Math.round(Number(r.share_cut) * 1000) / 10 : 0,
+  };
+}
+
+/**
+ * Raise distributions for one year: overall and by department, title and campus (groups with
+ * at least MIN_GROUP comparable records, largest first). Percent fields are percentages.
+ */
+export async function computeRaises(client, yearKey) {
+  const stats = `COUNT(*)::int AS count,
+    PERCENTILE_CONT(ARRAY[0.1, 0.25, 0.5, 0.75, 0.9]) WITHIN GROUP (ORDER BY change_from_last_year_pct) AS pcts,
+    AVG(change_from_last_year_pct) AS mean,
+    AVG((change_from_last_year_pct = 0)::int) AS share_no_raise,
+    AVG((change_from_last_year_pct < 0)::int) AS share_cut`;
+  const where = 'year_key = $1 AND change_from_last_year_pct IS NOT NULL';
+  const grouped = (column) => client.query(
+    `SELECT ${column} AS name, ${stats}
+     FROM salary_records
+     WHERE ${where} AND ${column} IS NOT NULL AND ${column} != ''
+     GROUP BY ${column}
+     HAVING COUNT(*) >= ${MIN_GROUP}
+     ORDER BY count DESC, name
+     LIMIT ${MAX_GROUPS}`,
+    [yearKey]
+  );
+
+  const [overallRes, deptRes, titleRes, campusRes] = await Promise.all([
+    client.query(`SELECT ${stats} FROM salary_records WHERE ${where}`, [yearKey]),
+    grouped('department'),
+    grouped('title'),
+    grouped('campus'),
+  ]);
+  const named = (rows) => rows.map((r) => ({ name: r.name, ...distribution(r) }));
+
+  return {
+    overall: distribution(overallRes.rows[0]),
+    byDepartment: named(deptRes.rows),
+    byTitle: named(titleRes.rows),
+    byCampus: named(campusRes.rows),
+  };
+}
@@ -0,0 +1,190 @@
+/**
+ * Change history for salary_records (salary_record_changes table). Every script that updates or
+ * deletes existing rows goes through updateRecords / deleteRecords, which apply the change and log
+ * it in the same statement: old and new values, the actor (script name or admin user), a reason,
+ * and a batch id shared by everything one run changed. New rows from imports are traced through
+ * import_run_id instead and are not logged here.
+ *
+ * undoChangeBatch reverses a batch (updates restored, deleted rows re-inserted, inserted rows
+ * deleted) as a new batch whose changes point back at it with undo_of.
+ */
+import crypto from 'crypto';
+
+// Columns a logged update may set; values are cast through jsonb_populate_record
+const UPDATABLE = new Set([
+  'last_name', 'first_name', 'title', 'department', 'campus', 'campus_id',
+  'ftr', 'gf', 'period_fte', 'basis_months', 'fte_fraction', 'import_run_id',
+]);
+
+// A restored row is relinked by the post-import step; its old person may be gone
+const UNLINKED = `'{"person_id": null, "person_match_score": null, "person_match_review": false, "person_match_candidate": null}'::jsonb`;
+
+/** A new change batch: pass it to updateRecords / deleteRecords for everything one run changes. */
+export function newChangeBatch({ actor, reason = null, undoOf = null }) {
+  return { id: crypto.randomUUID(), actor, reason, undoOf };
+}
+
+function updateColumns(updates) {
+  const columns = [...new Set(updates.flatMap((u) => Object.keys(u.values)))];
+  const bad = columns.filter((c) => !UPDATABLE.has(c));
+  if (bad.length) throw new Error(`Cannot update salary_records column(s): ${bad.join(', ')}`);
+  return columns;
+}
+
+/**
+ * Update rows and log each change: updates is [{ id, values }] with values a column -> new value
+ * map. Only the columns in values are logged. Returns the number of rows updated.
+ */
+export async function updateRecords(client, batch, updates) {
+  if (updates.length === 0) return 0;
+  const columns = updateColumns(updates);
+  const res = await client.query(
+    `WITH v AS (
+       SELECT * FROM unnest($1::uuid[], $2::jsonb[]) AS v(id, new_values)
+     ),
+     old AS (
+       SELECT s.id, s.year_key, to_jsonb(s) AS row FROM salary_records s JOIN v ON v.id = s.id
+     ),
+     upd AS (
+       UPDATE salary_records s
+       SET (${columns.join(', ')}) = (SELECT ${columns.map((c) => `r.${c}`).join(', ')} FROM jsonb_populate_record(s, v.new_values) r)
+       FROM v
+       WHERE s.id = v.id
+       RETURNING s.id
+     )
+     INSERT INTO salary_record_changes (batch_id, record_id, year_key, action, old_values, new_values, actor, reason, undo_of)
+     SELECT $3, old.id, old.year_key, 'update',
+            (SELECT jsonb_object_agg(k, old.row -> k) FROM jsonb_object_keys(v.new_values) k), v.new_values, $4, $5, $6
+     FROM old
+     JOIN v ON v.id = old.id
+     JOIN upd ON upd.id = old.id`,
+    [updates.map((u) => u.id), updates.map((u) => JSON.stringify(u.values)), batch.id, batch.actor, batch.reason, batch.undoOf]
+  );
+  return res.rowCount ?? 0;
+}
+
+/**
+ * Delete the rows matching a condition on salary_records (e.g. 'year_key = $1' with params) and
+ * log each deleted row in full. Returns the number of rows deleted.
+ */
+export async function deleteRecords(client, batch, where, params = []) {
+  const n = params.length;
+  const res = await client.query(
+    `WITH del AS (
+       DELETE FROM salary_records WHERE ${where} RETURNING *
+     )
+     INSERT INTO salary_record_changes (batch_id, record_id, year_key, action, old_values, actor, reason, undo_of)
+     SELECT $${n + 1}, del.id, del.year_key, 'delete', to_jsonb(del), $${n + 2}, $${n + 3}, $${n + 4}
+     FROM del`,
+    [...params, batch.id, batch.actor, batch.reason, batch.undoOf]
+  );
+  return res.rowCount ?? 0;
+}
+
+/** Recent batches, newest first: actor, reason, time, counts per action, and the undoing batch. */
+export async function listChangeBatches(client, { limit = 20 } = {}) {
+  const { rows } = await client.query(
+    `SELECT c.batch_id, MIN(c.actor) AS actor, MIN(c.reason) AS reason, MIN(c.changed_at) AS changed_at,
+            MIN(c.undo_of::text) AS undo_of,
+            COUNT(*) FILTER (WHERE c.action = 'update')::int AS updated,
+            COUNT(*) FILTER (WHERE c.action = 'delete')::int AS deleted,
+            COUNT(*) FILTER (WHERE c.action = 'insert')::int AS inserted,
+            ARRAY_AGG(DISTINCT c.year_key ORDER BY c.year_key) AS year_keys,
+            (SELECT MIN(u.batch_id::text) FROM salary_record_changes u WHERE u.undo_of = c.batch_id) AS undone_by
+     FROM salary_record_changes c
+     GROUP BY c.batch_id
+     ORDER BY MIN(c.changed_at) DESC
+     LIMIT $1`,
+    [limit]
+  );
+  return rows;
+}
+
+/**
+ * Reverse a batch inside the caller's transaction. Throws when the batch is unknown or already
+ * undone, or when a row it updated or inserted has changed since (nothing is applied then).
+ * Deleted rows whose import key has been taken again are not restored and are counted as skipped.
+ * Returns { batch, restored, reverted, removed, skipped, yearKeys }.
+ */
+export async function undoChangeBatch(client, batchId, { actor, reason = null }) {
+  const { rows: [info] } = await client.query(
+    `SELECT COUNT(*)::int AS changes,
+            EXISTS (SELECT 1 FROM salary_record_changes WHERE undo_of = $1) AS undone,
+            ARRAY_AGG(DISTINCT year_key) AS year_keys
+     FROM salary_record_changes WHERE batch_id = $1`,
+    [batchId]
+  );
+  if (!info.changes) throw new Error(`No changes in batch ${batchId}`);
+  if (info.undone) throw new Error(`Batch ${batchId} has already been undone`);
+
+  // Updated and inserted rows must still hold the values the batch left them with (derived
+  // columns such as person links and peer ranks are rebuilt after every change and not compared)
+  const { rows: conflicts } = await client.query(
+    `SELECT c.record_id, c.action
+     FROM salary_record_changes c
+     LEFT JOIN salary_records s ON s.id = c.record_id
+     WHERE c.batch_id = $1 AND c.action IN ('update', 'insert')
+       AND (s.id IS NULL OR EXISTS (
+         SELECT 1 FROM jsonb_each(c.new_values) nv
+         WHERE nv.key = ANY($2::text[]) AND to_jsonb(s) -> nv.key IS DISTINCT FROM nv.value
+       ))`,
+    [batchId, [...UPDATABLE]]
+  );
+  if (conflicts.length) {
+    throw new Error(`${conflicts.length} record(s) changed by batch ${batchId} have changed since (e.g. ${conflicts[0].record_id}); not undoing`);
+  }
+
+  const batch = newChangeBatch({ actor, reason: reason ?? `undo ${batchId}`, undoOf: batchId });
+
+  const { rows: updates } = await client.query(
+    `SELECT record_id AS id, old_values AS values FROM salary_record_changes WHERE batch_id = $1 AND action = 'update'`,
+    [batchId]
+  );
+  const reverted = await updateRecords(client, batch, updates);
+
+  const removed = await deleteRecords(
+    client,
+    batch,
+    `id IN (SELECT record_id FROM salary_record_changes WHERE batch_id = $1 AND action = 'insert')`,
+    [batchId]
+  );
+
+  const { rows: columns } = await client.query(
+    `SELECT column_name FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = 'salary_records' AND is_generated = 'NEVER'
+     ORDER BY ordinal_position`
+  );
+  const cols = columns.map((c) => c.column_name);
+  const restoreRes = await client.query(
+    `WITH restored AS (
+       INSERT INTO salary_records (${cols.join(', ')})
+       SELECT ${cols.map((c) => `r.${c}`).join(', ')}
+       FROM salary_record_changes c, jsonb_populate_record(NULL::salary_records, c.old_values || ${UNLINKED}) r
+       WHERE c.batch_id = $1 AND c.action = 'delete'
+       ON CONFLICT DO NOTHING
+       RETURNING *
+     )
+     INSERT INTO salary_record_changes (batch_id, record_id, year_key, action, new_values, actor, reason, undo_of)
+     SELECT $2, restored.id, restored.year_key, 'insert', to_jsonb(restored), $3, $4, $1
+     FROM restored`,
+    [batchId, batch.id, batch.actor, batch.reason]
+  );
+  const restored = restoreRes.rowCount ?? 0;
+  const { rows: [deleted] } = await client.query(
+    `SELECT COUNT(*)::int AS n FROM salary_record_changes WHERE batch_id = $1 AND action = 'delete'`,
+    [batchId]
+  );
+
+  // delete-year unpublishes a year; a year the undo refills (or empties) follows its rows
+  await client.query(
+    `UPDATE fiscal_years f
+     SET published = r.has_rows, imported_at = CASE WHEN r.has_rows THEN COALESCE(f.imported_at, NOW()) END
+     FROM (
+       SELECT y, EXISTS (SELECT 1 FROM salary_records s WHERE s.year_key = y) AS has_rows FROM unnest($1::int[]) AS y
+     ) r
+     WHERE f.year_key = r.y AND f.published IS DISTINCT FROM r.has_rows`,
+    [info.year_keys]
+  );
+
+  return { batch, restored, reverted, removed, skipped: deleted.n - restored, yearKeys: info.year_keys };
+}
@@ -0,0 +1,23 @@
+/**
+ * Record counts for checking what a database holds (npm run db:check, GET /api/admin/counts):
+ * the total, the count per year with its published flag, and the dataset version.
+ */
+
+/** Returns { total, byYear: [{ yearKey, fiscalYear, published, records }] newest first, datasetVersion }. */
+export async function recordCounts(client) {
+  const total = await client.query('SELECT COUNT(*)::int AS n FROM salary_records');
+  const byYear = await client.query(`
+    SELECT s.year_key, f.fiscal_year, f.published, COUNT(*)::int AS n
+    FROM salary_records s
+    LEFT JOIN fiscal_years f ON f.year_key = s.year_key
+    GROUP BY s.year_key, f.fiscal_year, f.published, f.start_date
+    ORDER BY f.start_date DESC NULLS LAST
+  `);
+  const version = await client.query('SELECT version, reason, updated_at FROM dataset_version').catch(() => ({ rows: [] }));
+  const v = version.rows[0];
+  return {
+    total: total.rows[0].n,
+    byYear: byYear.rows.map((r) => ({ yearKey: r.year_key, fiscalYear: r.fiscal_year, published: r.published, records: r.n })),
+    datasetVersion: v ? { version: Number(v.version), reason: v.reason, updatedAt: v.updated_at } : null,
+  };
+}
@@ -1,11 +1,11 @@
 import 'dotenv/config';
 import pool from './pool.js';
 import { initDb } from './pool.js';
+import { runPostImport, withWriteLock } from './post-import.js';
+import { listFiscalYears, markYearImported } from './fiscal-years.js';
+import { startImportRun, finishImportRun } from './import-runs.js';
 
-const FISCAL_YEARS = [
-  '2025-26', '2024-25', '2023-24', '2022-23', '2021-22', '2020-21',
-  '2019-20', '2018-19', '2017-18', '2016-17', '2015-16', '2014-15',
-];
+const SEED_YEARS = 3;
 
 async function main() {
   await initDb();
@@ -29,18 +29,28 @@ async function main() {
 
   const client = await pool.connect();
   try {
-    await client.query('DELETE FROM salary_records');
-    for (let yearKey = 0; yearKey < Math.min(3, FISCAL_YEARS.length); yearKey++) {
-      const fiscalYear = FISCAL_YEARS[yearKey];
-      for (const r of sampleRecords) {
-        const ftr = yearKey === 0 ? r.ftr : Math.round(r.ftr * (0.97 + yearKey * 0.02) * 100) / 100;
-        await client.query(
-          `INSERT INTO salary_records (last_name, first_name, title, department, fiscal_year, year_key, campus, campus_id, ftr, gf, period_fte)
-           VALUES ($1, $2, $3, $4, $5, $6, 'UM_ANN-ARBOR', 1, $7, $8, '12-Month1.00')`,
-          [r.last, r.first, r.title, r.dept, fiscalYear, yearKey, ftr, r.gf]
-        );
+    await withWriteLock(client, async () => {
+      await client.query('DELETE FROM salary_records');
+      await client.query('DELETE FROM people');
+      await client.query('UPDATE fiscal_years SET published = FALSE, imported_at = NULL');
+      const years = (await listFiscalYears(client)).slice(0, SEED_YEARS);
+      for (let i = 0; i < years.length; i++) {
+        const year = years[i];
+        const runId = await startImportRun(client, { adapter: 'seed', source: 'seed', yearKey: year.year_key });
+        for (const r of sampleRecords) {
+          const ftr = i === 0 ? r.ftr : Math.round(r.ftr * (0.97 + i * 0.02) * 100) / 100;
+          await client.query(
+            `INSERT INTO salary_records (last_name, first_name, title, department, fiscal_year, year_key, campus, campus_id, ftr, gf, period_fte, basis_months, fte_fraction, import_run_id)
+             VALUES ($1, $2, $3, $4, $5, $6, 'UM_ANN-ARBOR', 1, $7, $8, '12Month1.00', 12, 1, $9)`,
+            [r.last, r.first, r.title, r.dept, year.fiscal_year, year.year_key, ftr, r.gf, runId]
+          );
+        }
+        const n = sampleRecords.length;
+        await finishImportRun(client, runId, { parsed: n, inserted: n, skipped: 0, failed: 0 });
+        await markYearImported(client, year.year_key, 'seed');
       }
-    }
+      await runPostImport(client, { reason: 'seed' });
+    });
     console.log('Seed data inserted.');
   } finally {
     client.release();
@@ -0,0 +1,61 @@
+/**
+ * Title/department fix for rows imported from umsalary.info, whose "department" list mixes in
+ * job titles: on those rows the department column holds the job title. The fix moves it into
+ * the title and clears the department, as one change batch (record-changes.js) that can be undone.
+ * Used by npm run fix:title-dept and POST /api/admin/fixes/title-department.
+ */
+import { runPostImport, withWriteLock } from './post-import.js';
+import { newChangeBatch, updateRecords } from './record-changes.js';
+
+// Patterns that indicate "department" value is actually a job title.
+// umsalary.info's dept_list mixes real departments with job titles.
+const TITLE_LIKE_PATTERNS = [
+  /professor/i,
+  /\b(research\s+)?scientist\b/i,
+  /\b(coach|lecturer|instructor)\b/i,
+  /\badjunct\b/i,
+  /\b(fellow|postdoc|post-doc)\b/i,
+  /\b(assoc|asst)\s+(prof|res)/i,
+  /\b(acad|academic)\s+.*\s+(ofcr|officer)\b/i,
+  /^(asst|assoc|assistant|associate)\s+/i,
+  /\b(vp|vice\s+president)\b/i,
+  /\b(chief|dir|director)\s+of\b/i,
+  /^(sr|sr\.|senior)\s+(res|research)\b/i,
+];
+
+// Skip if it looks like an org unit (real department), not a job title
+const ORG_INDICATORS = /\b(department|office|center|centre|program|admin|services|division|institute|lab|laboratory)\b/i;
+
+function looksLikeTitle(str) {
+  if (!str || typeof str !== 'string' || str.length < 3) return false;
+  if (ORG_INDICATORS.test(str)) return false;
+  return TITLE_LIKE_PATTERNS.some((re) => re.test(str));
+}
+
+/** Records whose department appears to be a job title: [{ id, last_name, first_name, title, department, year_key }]. */
+export async function findTitleDepartmentFixes(client) {
+  const res = await client.query(
+    `SELECT id, last_name, first_name, title, department, year_key
+     FROM salary_records
+     WHERE department IS NOT NULL AND department != ''
+     ORDER BY year_key, last_name, first_name`
+  );
+  return res.rows.filter((row) => looksLikeTitle(row.department));
+}
+
+/**
+ * Apply the fix to rows from findTitleDepartmentFixes in one transaction holding the write lock
+ * (post-import.js), then rebuild derived data. Rows changed since they were found (e.g. by an
+ * import that held the lock first) are left alone. Returns { updated, batchId, post } with post the runPostImport result (null when
+ * nothing changed).
+ */
+export async function applyTitleDepartmentFixes(client, rows, { actor = 'fix:title-dept', reason = 'department holds a job title' } = {}) {
+  const batch = newChangeBatch({ actor, reason });
+  return withWriteLock(client, async () => {
+    const current = new Map((await findTitleDepartmentFixes(client)).map((row) => [row.id, row.department]));
+    const still = rows.filter((row) => current.get(row.id) === row.department);
+    const updated = await updateRecords(client, batch, still.map((row) => ({ id: row.id, values: { title: row.department, department: '' } })));
+    const post = updated > 0 ? await runPostImport(client, { reason: actor, link: false }) : null;
+    return { updated, batchId: batch.id, post };
+  });
+}
@@ -0,0 +1,133 @@
+/**
+ * HTTP caching for read routes, keyed on the dataset version (src/db/dataset-version.js).
+ *
+ * Every GET response gets a strong ETag of the form "<version>-<url hash>" and a Cache-Control
+ * max-age. The data only changes when a script bumps the version, so an ETag match means the
+ * client's copy is current and gets a 304 without touching the database. Successful JSON
+ * bodies are kept in an in-process LRU and served from memory until the version changes.
+ *
+ * The version itself is re-read at most every DATASET_VERSION_TTL_MS, so a bump reaches
+ * running servers (and read replicas) within that window.
+ */
+import crypto from 'crypto';
+import pool from './db/pool.js';
+import { getDatasetVersion } from './db/dataset-version.js';
+
+/** Map-backed LRU: get() refreshes recency, set() evicts the oldest entries past the limits. */
+class LruCache {
+  constructor({ maxEntries, maxBytes }) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.bytes = 0;
+    this.map = new Map();
+  }
+
+  get(key) {
+    const entry = this.map.get(key);
+    if (!entry) return undefined;
+    this.map.delete(key);
+    this.map.set(key, entry);
+    return entry;
+  }
+
+  set(key, entry) {
+    if (entry.body.length > this.maxBytes) return;
+    this.delete(key);
+    this.map.set(key, entry);
+    this.bytes += entry.body.length;
+    while (this.map.size > this.maxEntries || this.bytes > this.maxBytes) {
+      this.delete(this.map.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    const entry = this.map.get(key);
+    if (!entry) return;
+    this.map.delete(key);
+    this.bytes -= entry.body.length;
+  }
+
+  clear() {
+    this.map.clear();
+    this.bytes = 0;
+  }
+}
+
+function etagMatches(header, etag) {
+  if (!header) return false;
+  return header.split(',').some((t) => {
+    const tag = t.trim();
+    return tag === '*' || tag === etag || tag === `W/${etag}`;
+  });
+}
+
+/**
+ * Express middleware for /api GET routes. Downloads (?format=) stream and are not cached.
+ * Options: maxEntries, maxBytes (LRU limits), maxAge (Cache-Control seconds), versionTtlMs.
+ */
+export function responseCache({ maxEntries = 500, maxBytes = 64 * 1024 * 1024, maxAge = 300, versionTtlMs = 10000 } = {}) {
+  const lru = new LruCache({ maxEntries, maxBytes });
+  let known = { version: null, checkedAt: 0, pending: null };
+
+  async function currentVersion() {
+    if (known.version != null && Date.now() - known.checkedAt < versionTtlMs) return known.version;
+    if (!known.pending) {
+      known.pending = getDatasetVersion(pool)
+        .then((version) => {
+          if (version !== known.version) lru.clear();
+          known = { version, checkedAt: Date.now(), pending: null };
+          return version;
+        })
+        .catch((err) => {
+          known.pending = null;
+          throw err;
+        });
+    }
+    return known.pending;
+  }
+
+  return async function cacheMiddleware(req, res, next) {
+    if (req.method !== 'GET' || req.query.format) return next();
+
+    let version;
+    try {
+      version = await currentVersion();
+    } catch (err) {
+      // Without a version nothing can be validated; serve uncached
+      console.error('Dataset version unavailable:', err.message);
+      return next();
+    }
+
+    const key = req.originalUrl;
+    const hash = crypto.createHash('sha1').update(key).digest('base64url').slice(0, 16);
+    const etag = `"${version}-${hash}"`;
+    res.locals.datasetVersion = version;
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', `public, max-age=${maxAge}`);
+
+    if (etagMatches(req.get('If-None-Match'), etag)) {
+      return res.status(304).end();
+    }
+
+    const hit = lru.get(key);
+    if (hit && hit.version === version) {
+      res.setHeader('X-Cache', 'HIT');
+      return res.type('application/json').send(hit.body);
+    }
+
+    const json = res.json.bind(res);
+    res.json = (payload) => {
+      if (res.statusCode !== 200) {
+        // Errors are not cacheable or validatable by this ETag
+        res.removeHeader('ETag');
+        res.setHeader('Cache-Control', 'no-store');
+        return json(payload);
+      }
+      const body = JSON.stringify(payload);
+      lru.set(key, { version, body });
+      res.setHeader('X-Cache', 'MISS');
+      return res.type('application/json').send(body);
+    };
+    next();
+  };
+}
@@ -0,0 +1,83 @@
+/**
+ * Errors for the API routes and the middleware that sends them. Every failed request gets the
+ * same body, { error: { code, message, requestId } }; requestId is also the X-Request-Id header
+ * and prefixes the server log line, so a report from a user can be found in the logs.
+ *
+ * Route handlers are async: wrap them in asyncHandler so a rejected promise (e.g. a database
+ * error) reaches errorHandler instead of leaving the request hanging, and throw an HttpError
+ * (badRequest, notFound) for the failures the client can act on.
+ */
+import crypto from 'crypto';
+
+export class HttpError extends Error {
+  /** extra: fields sent next to error in the body, e.g. { log } for a failed import. */
+  constructor(status, code, message, extra) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.extra = extra;
+  }
+}
+
+export const badRequest = (message) => new HttpError(400, 'invalid_request', message);
+export const notFound = (message = 'Not found') => new HttpError(404, 'not_found', message);
+
+/** Pass a handler's rejection (or throw) to next(), i.e. to errorHandler. */
+export function asyncHandler(fn) {
+  return (req, res, next) => {
+    Promise.resolve()
+      .then(() => fn(req, res, next))
+      .catch(next);
+  };
+}
+
+// A proxy's X-Request-Id is kept when it looks like an id; anything else gets a fresh UUID
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/** Sets req.id and the X-Request-Id response header. Mount first. */
+export function requestId() {
+  return (req, res, next) => {
+    const given = req.get('X-Request-Id');
+    req.id = given && REQUEST_ID.test(given) ? given : crypto.randomUUID();
+    res.setHeader('X-Request-Id', req.id);
+    next();
+  };
+}
+
+/** Send the error envelope. */
+export function sendError(req, res, status, code, message, extra) {
+  res.status(status).json({ error: { code, message, requestId: req.id }, ...extra });
+}
+
+/** Last route: 404 for any path nothing else answered. */
+export function notFoundHandler(req, res) {
+  sendError(req, res, 404, 'not_found', 'Not found');
+}
+
+// body-parser errors carry a status and a type
+const BODY_ERRORS = {
+  'entity.parse.failed': 'invalid_json',
+  'entity.too.large': 'payload_too_large',
+};
+
+/**
+ * Final error middleware. HttpErrors and body-parser errors are sent as they are; anything else
+ * is logged with its stack and answered with a generic 500. Express needs all four parameters
+ * to treat it as error middleware.
+ */
+export function errorHandler(err, req, res, _next) {
+  if (err instanceof HttpError) {
+    return sendError(req, res, err.status, err.code, err.message, err.extra);
+  }
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return sendError(req, res, err.status, BODY_ERRORS[err.type] ?? 'invalid_request', err.message);
+  }
+  console.error('[%s] %s %s failed:', req.id, req.method, req.originalUrl, err);
+  if (res.headersSent) {
+    // Part of the body went out already (e.g. a streamed export); all that is left is to cut it off
+    res.destroy(err);
+    return;
+  }
+  sendError(req, res, 500, 'internal_error', 'Internal server error');
+}
@@ -0,0 +1,178 @@
+/**
+ * csv adapter: spreadsheet exports (CSV or TSV, with a header row) of a salary disclosure.
+ *
+ * Columns are found by header name, case-insensitively, using DEFAULT_COLUMNS; source.columns
+ * (see parseColumnMapping) names the header of any field whose header differs. The name is
+ * either one "Last, First" column or separate last/first name columns. Campus is a campus code
+ * or name (record.js campusCode); files without a campus column are source.campus, default Ann
+ * Arbor. Rows are read as strictly as the PDF adapters read a line: a row without a readable
+ * name, FTR, basis (8, 9 or 12 months) or campus is counted as unreadable, and an absent basis
+ * or fraction column means a full-time 12-month appointment, as in the umsalary.info adapter.
+ * Beyond what the PDFs print, only spreadsheet formatting is accepted: a "$" before an amount,
+ * amounts without cents and a bare basis number ("12"). A negative FTR is unreadable, as in the
+ * PDFs.
+ */
+import { SourceError, campusCode, parseCurrency } from '../record.js';
+
+/** Record field -> accepted header names (compared lowercased, spaces and punctuation collapsed). */
+export const DEFAULT_COLUMNS = {
+  name: ['name', 'employee name', 'employee'],
+  last_name: ['last name', 'last', 'surname'],
+  first_name: ['first name', 'first'],
+  title: ['title', 'appointment title', 'job title'],
+  department: ['department', 'dept', 'appointing dept', 'appointing department'],
+  campus: ['campus'],
+  ftr: ['ftr', 'appt annual ftr', 'annual ftr', 'salary'],
+  basis: ['basis', 'appt ftr basis', 'ftr basis'],
+  fraction: ['fraction', 'appt fraction', 'fte'],
+  gf: ['gf', 'general fund', 'amt of salary paid from genl fund'],
+};
+
+function headerKey(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/** Split delimited text into rows of fields; handles quoted fields with delimiters, quotes and newlines. */
+export function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && field === '') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((f) => f.trim() !== ''));
+}
+
+/**
+ * A column mapping from "field=Header;field=Header" (e.g. "ftr=Annual Rate;gf=GF Amount") or
+ * { field: header or [headers] }. Returns { field: [headers] }; throws on unknown fields.
+ */
+export function parseColumnMapping(spec) {
+  if (!spec) return {};
+  const entries = typeof spec === 'string'
+    ? spec.split(';').filter((p) => p.trim()).map((pair) => {
+      const eq = pair.indexOf('=');
+      if (eq <= 0) throw new SourceError(`Column mapping "${pair.trim()}" is not field=Header`);
+      return [pair.slice(0, eq).trim(), pair.slice(eq + 1).trim()];
+    })
+    : Object.entries(spec);
+  const mapping = {};
+  for (const [field, headers] of entries) {
+    if (!DEFAULT_COLUMNS[field]) throw new SourceError(`Unknown column "${field}"; expected one of ${Object.keys(DEFAULT_COLUMNS).join(', ')}`);
+    mapping[field] = Array.isArray(headers) ? headers.map(String) : [String(headers)];
+  }
+  return mapping;
+}
+
+/**
+ * Column index per record field from the header row. mapping (parseColumnMapping) takes the
+ * place of the default header names of its fields; a mapped header must be present.
+ */
+export function resolveColumns(header, mapping = {}) {
+  const columns = { ...DEFAULT_COLUMNS, ...mapping };
+  // Mapping either form of the name replaces the other one's defaults
+  if (mapping.name && !mapping.last_name) delete columns.last_name;
+  if ((mapping.last_name || mapping.first_name) && !mapping.name) delete columns.name;
+  const keys = header.map(headerKey);
+  const index = {};
+  for (const [field, names] of Object.entries(columns)) {
+    const i = keys.findIndex((k) => names.some((n) => headerKey(n) === k));
+    if (i !== -1) index[field] = i;
+    else if (mapping[field]) throw new SourceError(`No column ${mapping[field].map((n) => `"${n}"`).join(' or ')} for ${field}; the header has: ${header.join(', ')}`);
+  }
+  if (index.name == null && index.last_name == null) {
+    throw new SourceError(`No name column; expected one of: ${[...(columns.name ?? []), ...(columns.last_name ?? [])].join(', ')}`);
+  }
+  if (index.ftr == null) {
+    throw new SourceError(`No FTR column; expected one of: ${columns.ftr.join(', ')}`);
+  }
+  return index;
+}
+
+const AMOUNT = /^\$?\s*[\d,]+(\.\d+)?$/;
+const BASIS = /^(8|9|12)(\s*-?\s*months?)?$/i;
+
+/** One data row -> adapter record, or null with a reason when it cannot be read. */
+function rowToRecord(fields, index, defaultCampus) {
+  const get = (field) => (index[field] != null ? (fields[index[field]] ?? '').trim() : '');
+  let last = get('last_name');
+  let first = get('first_name');
+  if (index.name != null) {
+    const name = get('name');
+    const comma = name.indexOf(',');
+    if (comma <= 0) return { error: 'name is not "Last, First"' };
+    last = name.slice(0, comma).trim();
+    first = name.slice(comma + 1).trim();
+  }
+  if (!last) return { error: 'missing name' };
+  const campus = index.campus != null ? campusCode(get('campus')) : defaultCampus;
+  if (!campus) return { error: `unknown campus "${get('campus')}"` };
+  if (!AMOUNT.test(get('ftr'))) return { error: `unreadable FTR "${get('ftr')}"` };
+  const basis = index.basis != null ? get('basis').match(BASIS) : ['12', '12'];
+  if (!basis) return { error: `unreadable basis "${get('basis')}"` };
+  const fraction = parseFloat(get('fraction'));
+  return {
+    record: {
+      campus,
+      last_name: last,
+      first_name: first,
+      title: get('title'),
+      department: get('department'),
+      ftr: parseCurrency(get('ftr')),
+      gf: parseCurrency(get('gf')),
+      basis_months: parseInt(basis[1], 10),
+      fte_fraction: Number.isFinite(fraction) ? fraction : 1,
+    },
+  };
+}
+
+export const csv = {
+  name: 'csv',
+  description: 'CSV or TSV with a header row (columns matched by name)',
+  async *read(source, ctx) {
+    const text = source.buffer.toString('utf8').replace(/^\uFEFF/, '');
+    const firstLine = text.slice(0, text.indexOf('\n') === -1 ? undefined : text.indexOf('\n'));
+    const delimiter = source.delimiter ?? (firstLine.includes('\t') ? '\t' : ',');
+    const [header, ...rows] = parseDelimited(text, delimiter);
+    if (!header) return;
+    const index = resolveColumns(header, parseColumnMapping(source.columns));
+    const defaultCampus = campusCode(source.campus ?? 'UM_ANN-ARBOR');
+    if (!defaultCampus) throw new SourceError(`Unknown campus "${source.campus}"`);
+    ctx.log('Columns: %s', Object.entries(index).map(([field, i]) => `${field}="${header[i]}"`).join(', '));
+    const records = [];
+    rows.forEach((fields, i) => {
+      const { record, error } = rowToRecord(fields, index, defaultCampus);
+      if (record) records.push(record);
+      else ctx.fail(error, `row ${i + 2}: ${fields.join(delimiter === '\t' ? ' | ' : ', ')}`);
+    });
+    yield records;
+  },
+};
@@ -0,0 +1,35 @@
+/**
+ * Import adapters by name. An adapter is { name, description, read(source, ctx) } where read is
+ * an async generator yielding arrays of records (see ../record.js). ctx provides:
+ *   ctx.log(format, ...args)   progress output
+ *   ctx.fail(reason, detail)   count a row or unit of the source that could not be read
+ *   ctx.hash(data)             add fetched bytes to the run checksum (sources without a buffer)
+ */
+import path from 'path';
+import { pdfCompact, pdfLine, detectPdfAdapter } from './pdf.js';
+import { pdfLayout } from './pdf-layout.js';
+import { umsalaryHtml } from './umsalary.js';
+import { csv } from './csv.js';
+import { SourceError } from '../record.js';
+
+export const ADAPTERS = Object.fromEntries([pdfLayout, pdfLine, pdfCompact, umsalaryHtml, csv].map((a) => [a.name, a]));
+
+const EXTENSION_ADAPTERS = { '.csv': 'csv', '.tsv': 'csv', '.txt': 'csv' };
+
+/** The adapter for a name; throws listing the known names. */
+export function getAdapter(name) {
+  const adapter = ADAPTERS[name];
+  if (!adapter) throw new SourceError(`Unknown import adapter "${name}"; expected one of ${Object.keys(ADAPTERS).join(', ')}`);
+  return adapter;
+}
+
+/**
+ * The adapter name for a loaded source ({ name, buffer }) from its file extension; PDFs are
+ * detected from their content (detectPdfAdapter). Throws when the extension is not known.
+ */
+export async function adapterForSource(source) {
+  const ext = path.extname(new URL(source.name, 'file:///').pathname).toLowerCase();
+  if (ext === '.pdf') return detectPdfAdapter(source.buffer);
+  if (EXTENSION_ADAPTERS[ext]) return EXTENSION_ADAPTERS[ext];
+  throw new SourceError(`Cannot tell the adapter from "${source.name}"; set ADAPTER (${Object.keys(ADAPTERS).join(', ')})`);
+}
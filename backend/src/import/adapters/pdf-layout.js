@@ -0,0 +1,227 @@
+/**
+ * Layout-aware PDF adapter for the UM HR salary disclosures: reads the positioned text of each
+ * page and assigns every piece of text to a column by where it sits, instead of guessing where
+ * the title ends and the department starts from the text alone.
+ *
+ * The column bands come from the header row every data page repeats (CAMPUS, NAME, APPOINTMENT
+ * TITLE, APPOINTING DEPT, APPT ANNUAL FTR, APPT FTR BASIS, APPT FRACTION, AMT OF SALARY PAID
+ * FROM GENL FUND): each column is centred on its header text and bands split halfway between
+ * neighbouring columns. Text on the same line below the header is one record; a line without a
+ * campus code continues the record above it (a wrapped cell).
+ */
+import { SourceError, campusCode, parseCurrency } from '../record.js';
+
+// pdf-parse is CommonJS and only needed here; loaded on first use
+let pdfParse;
+
+async function loadPdfParse() {
+  if (!pdfParse) {
+    const mod = await import('pdf-parse');
+    pdfParse = mod.default ?? mod;
+  }
+  return pdfParse;
+}
+
+// pdf.js errors for a file that is not a PDF it can read
+const UNREADABLE_PDF = new Set(['InvalidPDFException', 'PasswordException', 'FormatError']);
+
+/** err as a SourceError when pdf-parse rejected the file itself; other errors as they are. */
+export function unreadablePdf(err) {
+  return UNREADABLE_PDF.has(err?.name) ? new SourceError(`Not a readable PDF: ${err.message}`) : err;
+}
+
+// Header text of each column, in page order; several items per column when the header wraps
+const COLUMNS = [
+  ['campus', /^CAMPUS$/],
+  ['name', /^NAME$/],
+  ['title', /^APPOINTMENT TITLE$/],
+  ['department', /^APPOINTING DEPT/],
+  ['ftr', /ANNUAL/],
+  ['basis', /BASIS/],
+  ['fraction', /FRACTION/],
+  ['gf', /GENL|FUND/],
+];
+// Header items of a column sit within this distance (in lines of the page) of the CAMPUS label
+const HEADER_SPAN = 40;
+// Items closer than this across the page are on the same line
+const LINE_TOLERANCE = 2;
+// Pieces this close along a line are one word split across items ("12-Mo" + "nth")
+const WORD_GAP = 0.5;
+// Pages searched for a header row when detecting the format
+const DETECT_PAGES = 5;
+
+const CAMPUS_START = /^UM_[A-Z-]+/;
+
+/**
+ * A text item in reading coordinates: x along the line, y down the page. The disclosures are
+ * landscape pages drawn rotated, so the text direction comes from the item's transform.
+ */
+function position(item) {
+  const [a, b, , , e, f] = item.transform;
+  const len = Math.hypot(a, b) || 1;
+  const [dx, dy] = [a / len, b / len];
+  return { x: e * dx + f * dy, y: e * dy - f * dx };
+}
+
+/**
+ * Split an item on runs of two or more spaces ("287,281.59   12-Month" spans two columns) and
+ * place each piece (start and end) at its share of the item's width. gap is the whitespace
+ * before the piece in its item, kept when neighbouring pieces land in the same column.
+ */
+function pieces(item) {
+  const { x, y } = position(item);
+  const str = item.str;
+  const at = (i) => x + (item.width * i) / Math.max(str.length, 1);
+  const out = [];
+  const re = /\S+(?: \S+)*/g;
+  let m;
+  let last = 0;
+  while ((m = re.exec(str)) !== null) {
+    out.push({ item, text: m[0], gap: str.slice(last, m.index), x: at(m.index), end: at(m.index + m[0].length), y });
+    last = m.index + m[0].length;
+  }
+  return out;
+}
+
+/**
+ * Find the header row among a page's items: { bands, bottom } where bands is [{ key, from }]
+ * in page order and bottom the lowest header line, or null when the page has no full header.
+ */
+function findHeader(items) {
+  const campus = items.find((it) => COLUMNS[0][1].test(it.str.trim()));
+  if (!campus) return null;
+  const top = position(campus).y;
+  const near = items.filter((it) => Math.abs(position(it).y - top) <= HEADER_SPAN);
+  const columns = [];
+  let bottom = top;
+  for (const [key, re] of COLUMNS) {
+    const matched = near.filter((it) => re.test(it.str.trim()));
+    if (matched.length === 0) return null;
+    const centres = matched.map((it) => position(it).x + it.width / 2);
+    columns.push({ key, centre: centres.reduce((s, c) => s + c, 0) / centres.length });
+    bottom = Math.max(bottom, ...matched.map((it) => position(it).y));
+  }
+  columns.sort((p, q) => p.centre - q.centre);
+  const bands = columns.map((c, i) => ({ key: c.key, from: i === 0 ? -Infinity : (columns[i - 1].centre + c.centre) / 2 }));
+  return { bands, bottom };
+}
+
+function columnOf(bands, x) {
+  let key = bands[0].key;
+  for (const band of bands) if (x >= band.from) key = band.key;
+  return key;
+}
+
+/** The text lines of a page below its header, each a column -> text map. */
+function pageRows(items, header) {
+  const lines = [];
+  for (const item of items) {
+    for (const piece of pieces(item)) {
+      if (piece.y <= header.bottom + LINE_TOLERANCE) continue;
+      let line = lines.find((l) => Math.abs(l.y - piece.y) <= LINE_TOLERANCE);
+      if (!line) lines.push((line = { y: piece.y, pieces: [] }));
+      line.pieces.push(piece);
+    }
+  }
+  lines.sort((p, q) => p.y - q.y);
+  return lines.map((line) => {
+    const cells = {};
+    let prev = null;
+    for (const piece of line.pieces.sort((p, q) => p.x - q.x)) {
+      const key = columnOf(header.bands, piece.x);
+      if (!cells[key]) cells[key] = piece.text;
+      else if (prev.item === piece.item) cells[key] += piece.gap + piece.text;
+      else cells[key] += (piece.x - prev.end < WORD_GAP ? '' : ' ') + piece.text;
+      prev = piece;
+    }
+    return cells;
+  });
+}
+
+/** Merge wrapped lines into the record line above them; returns one cells map per record. */
+function joinWrapped(rows, pending) {
+  const records = pending ? [pending] : [];
+  for (const cells of rows) {
+    if (CAMPUS_START.test(cells.campus ?? '') || records.length === 0) {
+      records.push(cells);
+      continue;
+    }
+    const last = records[records.length - 1];
+    for (const [key, text] of Object.entries(cells)) last[key] = last[key] ? `${last[key]} ${text}` : text;
+  }
+  return records;
+}
+
+/** A record from one line's cells, or null when a required column is missing or unreadable. */
+function toRecord(cells) {
+  const campus = CAMPUS_START.test(cells.campus ?? '') ? campusCode(cells.campus) : null;
+  const name = (cells.name ?? '').trim();
+  const comma = name.indexOf(',');
+  const basis = (cells.basis ?? '').match(/^(8|9|12)-Month$/i);
+  const fraction = parseFloat(cells.fraction);
+  if (!campus || comma <= 0 || !basis || !/^[\d,]+\.\d{2}$/.test((cells.ftr ?? '').trim())) return null;
+  return {
+    campus,
+    last_name: name.slice(0, comma).trim(),
+    first_name: name.slice(comma + 1).trim(),
+    title: (cells.title ?? '').trim(),
+    department: (cells.department ?? '').trim(),
+    ftr: parseCurrency(cells.ftr),
+    gf: parseCurrency(cells.gf),
+    basis_months: parseInt(basis[1], 10),
+    fte_fraction: Number.isFinite(fraction) ? fraction : 1,
+  };
+}
+
+/** Call onPage(items) with the text items of each page (the first max pages when max > 0). */
+async function eachPage(buffer, onPage, max = 0) {
+  const parse = await loadPdfParse();
+  try {
+    await parse(buffer, {
+      max,
+      pagerender: async (page) => {
+        const content = await page.getTextContent();
+        onPage(content.items.filter((it) => it.str.trim()));
+        return '';
+      },
+    });
+  } catch (err) {
+    throw unreadablePdf(err);
+  }
+}
+
+/** Whether the PDF has the disclosure's column header on one of its first pages. */
+export async function hasLayoutHeader(buffer) {
+  let found = false;
+  await eachPage(buffer, (items) => {
+    if (!found && findHeader(items)) found = true;
+  }, DETECT_PAGES);
+  return found;
+}
+
+export const pdfLayout = {
+  name: 'pdf-layout',
+  description: 'UM HR disclosure PDF, columns located from the header row (2024, 2025)',
+  async *read(source, ctx) {
+    const records = [];
+    let pages = 0;
+    let pending = null;
+    const flush = (cells) => {
+      const r = toRecord(cells);
+      if (r) records.push(r);
+      else ctx.fail('unreadable record line', Object.values(cells).join(' | '));
+    };
+    await eachPage(source.buffer, (items) => {
+      const header = findHeader(items);
+      if (!header) return;
+      pages++;
+      // The last record of a page may wrap onto the next one; it is completed there
+      const rows = joinWrapped(pageRows(items, header), pending);
+      pending = rows.pop() ?? null;
+      rows.forEach(flush);
+    });
+    if (pending) flush(pending);
+    ctx.log('Read %d pages with a column header', pages);
+    yield records;
+  },
+};
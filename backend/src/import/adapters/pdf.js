@@ -0,0 +1,245 @@
+/**
+ * Text-based PDF adapters for the official UM HR salary disclosures (e.g. salary_record_2025.pdf).
+ * Columns: CAMPUS, NAME, APPOINTMENT TITLE, APPOINTING DEPT, APPT ANNUAL FTR, APPT FTR BASIS,
+ * APPT FRACTION, AMT OF SALARY PAID FROM GENL FUND. Each record starts with a campus code
+ * (UM_ANN-ARBOR, UM_FLINT, UM_DEARBOR).
+ *
+ *   pdf-compact  one record per run of text: "Name Title Department FTR basis fraction GF"
+ *                (2021 and 2023 disclosures)
+ *   pdf-line     one field per line after the campus (2024 and 2025 disclosures)
+ *
+ * Both split title from department with known department prefixes. PDFs with the column header
+ * row are read by pdf-layout (pdf-layout.js) from text positions instead; detectPdfAdapter
+ * prefers it and falls back to these for PDFs without the header.
+ */
+import { parseCurrency } from '../record.js';
+import { hasLayoutHeader, unreadablePdf } from './pdf-layout.js';
+
+// pdf-parse is CommonJS and only needed here; loaded on first use
+let pdfParse;
+
+// Extracted text per source buffer, so detection and parsing read the PDF once
+const textCache = new WeakMap();
+
+async function extractPdfText(buffer) {
+  if (textCache.has(buffer)) return textCache.get(buffer);
+  if (!pdfParse) {
+    const mod = await import('pdf-parse');
+    pdfParse = mod.default ?? mod;
+  }
+  const data = await pdfParse(buffer).catch((err) => {
+    throw unreadablePdf(err);
+  });
+  const text = data.text || '';
+  textCache.set(buffer, text);
+  return text;
+}
+
+const CAMPUS_RE = /(UM_ANN-ARBOR|UM_FLINT|UM_DEARBOR)/g;
+
+/**
+ * Split full PDF text into record chunks. Each record starts with a campus code.
+ * Returns array of { campus, rest } where rest is the line content after the campus token.
+ */
+function splitIntoRecords(text) {
+  const records = [];
+  const re = new RegExp(CAMPUS_RE);
+  let match;
+  let lastIndex = 0;
+  let lastCampus = null;
+  while ((match = re.exec(text)) !== null) {
+    if (lastCampus) {
+      const rest = text.slice(lastIndex, match.index).trim();
+      if (rest.length > 10) records.push({ campus: lastCampus, rest });
+    }
+    lastCampus = match[1];
+    lastIndex = match.index + match[1].length;
+  }
+  if (lastCampus) {
+    const rest = text.slice(lastIndex).trim();
+    if (rest.length > 10) records.push({ campus: lastCampus, rest });
+  }
+  return records;
+}
+
+// Tail regex: FTR, basis (8|9|12-Month), fraction, GF. Allow optional spaces (2021/2023 PDFs have no space before -Month).
+const TAIL_RE = /([\d,]+\.\d{2})\s*(8|9|12)-Month\s*(\d\.\d{2})\s*([\d,]+\.\d{2})\s*$/;
+// Try with leading space first, then without (2021/2023 PDFs often have "TitleMM Dept" with no space before MM)
+const DEPT_PREFIXES = [' MM ', ' LSA ', ' DENT ', ' Ross ', ' College ', ' School of ', ' Building ', ' MM ', ' LSA ', ' DENT ', ' Ross '];
+
+/** Prefixes that start a department name; used to strip department text from title. */
+const DEPT_START_PATTERNS = [/\s+MM\s+/i, /\s+LSA\s+/i, /\s+DENT\s+/i, /\s+Ross\s+/i, /\s+College\s+/i, /\s+School\s+of\s+/i, /\s+Building\s+/i, /\s+OUA\s+/i, /\s+UMH\s+/i, /\s+DPSS\s+/i, /\s+SRC\s+/i, /\s+CoE\s+/i, /\s+Dbn\s+/i];
+
+/**
+ * If title contains department-like text (e.g. "PROFESSOR - LSA History"), split so
+ * title stays job-only and department gets the org part. Prevents department leaking into title.
+ */
+function normalizeTitleAndDepartment(title, department) {
+  let t = (title || '').trim();
+  let d = (department || '').trim();
+  if (!t) return { title: t || 'N/A', department: d || 'N/A' };
+  for (const re of DEPT_START_PATTERNS) {
+    const match = t.match(re);
+    if (match) {
+      const idx = match.index;
+      const before = t.slice(0, idx).replace(/\s*[-–]\s*$/, '').trim();
+      const after = t.slice(idx).trim();
+      if (before.length >= 2 && after.length >= 2) {
+        t = before;
+        d = (d && d !== 'N/A') ? d : after;
+        break;
+      }
+    }
+  }
+  return { title: t || 'N/A', department: d || 'N/A' };
+}
+
+/**
+ * Parse one record chunk (campus already known). Compact format:
+ * "Name Title Department FTR basis fraction GF" (optional spaces; 2021/2023 have no space before -Month).
+ * Name is "Last, First" (comma). Try to split department by known prefixes.
+ */
+function parseRecordChunk(campus, rest) {
+  const tailMatch = rest.match(TAIL_RE);
+  if (!tailMatch) return null;
+  const ftr = parseCurrency(tailMatch[1]);
+  const basisMonths = parseInt(tailMatch[2], 10);
+  const fteFraction = parseFloat(tailMatch[3]);
+  const gf = parseCurrency(tailMatch[4]);
+
+  let middle = rest.replace(TAIL_RE, '').trim();
+  if (!middle) return null;
+
+  const commaIdx = middle.indexOf(',');
+  if (commaIdx === -1) return null;
+  const last_name = middle.slice(0, commaIdx).trim();
+  let afterName = middle.slice(commaIdx + 1).trim();
+  if (!last_name || !afterName) return null;
+
+  let department = 'N/A';
+  let beforeDept = afterName;
+  for (const prefix of DEPT_PREFIXES) {
+    const i = afterName.indexOf(prefix);
+    if (i !== -1) {
+      beforeDept = afterName.slice(0, i).trim();
+      department = (prefix.trim() + afterName.slice(i + prefix.length)).trim();
+      break;
+    }
+  }
+  const words = beforeDept.split(/\s+/);
+  const first_name = words[0] || 'N/A';
+  let title = words.length > 1 ? words.slice(1).join(' ') : 'N/A';
+  const norm = normalizeTitleAndDepartment(title, department);
+  title = norm.title;
+  department = norm.department;
+
+  return {
+    last_name,
+    first_name,
+    title,
+    department,
+    campus,
+    ftr,
+    gf,
+    basis_months: basisMonths,
+    fte_fraction: fteFraction,
+  };
+}
+
+// 2025 PDF: FTR and basis can be on same line ("62,232.00   12-Month") or separate ("113,000.00" then "9-Month").
+const FTR_BASIS_SAME_LINE = /^([\d,]+\.?\d*)\s*(8|9|12)-Month\s*$/i;
+
+/**
+ * Parse one 2025-style record block (the lines after the campus): name, title, department,
+ * FTR (and optionally basis), fraction, GF. null when the block does not fit either layout.
+ * Format A (6 lines after campus): "Name\nTitle\nDept\nFTR  12-Month\nfraction\nGF"
+ * Format B (7 lines): "Name\nTitle\nDept\nFTR\n9-Month\nfraction\nGF"
+ */
+function parseLineBlock(campus, block) {
+  const lines = block.split(/\n/).map((l) => l.trim()).filter(Boolean);
+  if (lines.length < 6) return null;
+  const nameLine = lines[0];
+  const commaIdx = nameLine.indexOf(',');
+  if (commaIdx === -1) return null;
+  const last_name = nameLine.slice(0, commaIdx).trim();
+  const first_name = nameLine.slice(commaIdx + 1).trim() || 'N/A';
+  let title = lines[1] || 'N/A';
+  let department = lines[2] || 'N/A';
+  const norm = normalizeTitleAndDepartment(title, department);
+  title = norm.title;
+  department = norm.department;
+
+  let ftrStr;
+  let basisStr;
+  let fractionStr;
+  let gfStr;
+  const line3 = lines[3] || '';
+  const matchSame = line3.match(FTR_BASIS_SAME_LINE);
+  if (matchSame) {
+    ftrStr = matchSame[1];
+    basisStr = matchSame[2];
+    fractionStr = lines[4];
+    gfStr = lines[5];
+  } else if (lines.length >= 7 && /^(8|9|12)-Month\s*$/i.test((lines[4] || '').trim())) {
+    ftrStr = lines[3];
+    basisStr = (lines[4] || '').replace(/-Month\s*$/i, '').trim();
+    fractionStr = lines[5];
+    gfStr = lines[6];
+  } else {
+    return null;
+  }
+  const parsedFraction = parseFloat(fractionStr);
+  return {
+    campus,
+    last_name,
+    first_name,
+    title,
+    department,
+    ftr: parseCurrency(ftrStr),
+    gf: parseCurrency(gfStr),
+    basis_months: parseInt(basisStr, 10) || 12,
+    fte_fraction: Number.isFinite(parsedFraction) ? parsedFraction : 1,
+  };
+}
+
+/**
+ * 'pdf-layout' when the first pages have the disclosure's column header row; otherwise
+ * 'pdf-line' when the name follows the campus code on its own line, else 'pdf-compact'.
+ */
+export async function detectPdfAdapter(buffer) {
+  if (await hasLayoutHeader(buffer)) return 'pdf-layout';
+  const text = await extractPdfText(buffer);
+  return /(UM_ANN-ARBOR|UM_FLINT|UM_DEARBOR)\s*\n[^\n]*,[^\n]*\n/.test(text) ? 'pdf-line' : 'pdf-compact';
+}
+
+export const pdfCompact = {
+  name: 'pdf-compact',
+  description: 'UM HR disclosure PDF, one record per text run (2021, 2023)',
+  async *read(source, ctx) {
+    const chunks = splitIntoRecords(await extractPdfText(source.buffer));
+    ctx.log('Parsed %d raw record chunks', chunks.length);
+    const records = [];
+    for (const { campus, rest } of chunks) {
+      const r = parseRecordChunk(campus, rest);
+      if (r) records.push(r);
+      else ctx.fail('unparsable record chunk', rest.slice(0, 200));
+    }
+    yield records;
+  },
+};
+
+export const pdfLine = {
+  name: 'pdf-line',
+  description: 'UM HR disclosure PDF, one field per line (2024, 2025)',
+  async *read(source, ctx) {
+    const parts = (await extractPdfText(source.buffer)).split(CAMPUS_RE);
+    const records = [];
+    for (let i = 1; i < parts.length; i += 2) {
+      const block = (parts[i + 1] || '').trim();
+      const r = parseLineBlock(parts[i], block);
+      if (r) records.push(r);
+      else ctx.fail('unparsable record block', block.slice(0, 200));
+    }
+    yield records;
+  },
+};
@@ -0,0 +1,342 @@
+/**
+ * umsalary-html adapter: scrapes umsalary.info's department list, then every department's
+ * paginated results, yielding one batch of records per page.
+ *
+ * Source options: siteYear (umsalary.info Year parameter, 0 = its latest), delayMs between
+ * requests, and which departments to process: skip/limit, onlyIndices (1-based), or
+ * retryFailed (only departments in import-failures.log). A department that fails is logged to
+ * import-failures.log and counted as one failure; the rest of the run continues.
+ *
+ * Every fetched page is written to a content-addressed page cache (cacheDir, default
+ * umsalary-cache/; see page-cache.js). With offline, pages are read from that cache only, so a
+ * scrape can be parsed again without the site. With checkpoint (the fiscal year label the rows
+ * go to), each page is recorded in import-checkpoint.jsonl once the pipeline has stored its rows,
+ * and a later run for the same years skips the pages recorded there; the year's entries are
+ * dropped when every department is complete.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import nhp from 'node-html-parser';
+import { openPageCache } from '../page-cache.js';
+import { parseCurrency } from '../record.js';
+const parse = nhp?.default ?? nhp?.parse ?? nhp;
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const FAILURES_LOG = path.resolve(__dirname, '../../../import-failures.log');
+export const CHECKPOINT_LOG = path.resolve(__dirname, '../../../import-checkpoint.jsonl');
+export const CACHE_DIR = path.resolve(__dirname, '../../../umsalary-cache');
+
+export const BASE = 'https://www.umsalary.info';
+// Fiscal year label of umsalary.info's Year=0; its Year parameter counts back from here
+export const SITE_LATEST_FISCAL_YEAR = 2025;
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+async function fetchPage(url, retries = 2) {
+  const opts = { headers: { 'User-Agent': 'UM-Salary-Import/1.0 (educational; copying public data)' } };
+  let lastErr;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      const res = await fetch(url, opts);
+      if (!res.ok) throw new Error(`HTTP ${res.status}: ${url}`);
+      return await res.text();
+    } catch (err) {
+      lastErr = err;
+      if (attempt < retries) await sleep(2000);
+    }
+  }
+  throw lastErr;
+}
+
+function appendFailure(yearKey, dept, err) {
+  const line = JSON.stringify({ yearKey, encodedName: dept.encodedName, name: dept.name, error: err.message }) + '\n';
+  try {
+    fs.appendFileSync(FAILURES_LOG, line);
+  } catch (e) {
+    console.warn('Could not write failure log:', e.message);
+  }
+}
+
+/** Logged failures for a site year: [{ yearKey, encodedName, name, error }]. */
+export function readFailures(yearKey) {
+  if (!fs.existsSync(FAILURES_LOG)) return [];
+  const failures = [];
+  for (const line of fs.readFileSync(FAILURES_LOG, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const o = JSON.parse(line);
+      if (Number(o.yearKey) === Number(yearKey)) failures.push(o);
+    } catch (_) {}
+  }
+  return failures;
+}
+
+function removeFailedFromLog(yearKey, encodedNames) {
+  if (!fs.existsSync(FAILURES_LOG) || encodedNames.size === 0) return;
+  const toRemove = new Set(encodedNames);
+  const content = fs.readFileSync(FAILURES_LOG, 'utf8');
+  const kept = content.split('\n').filter((line) => {
+    if (!line.trim()) return true;
+    try {
+      const o = JSON.parse(line);
+      if (Number(o.yearKey) !== Number(yearKey)) return true;
+      return !toRemove.has(o.encodedName);
+    } catch (_) {
+      return true;
+    }
+  });
+  fs.writeFileSync(FAILURES_LOG, kept.join('\n') + (kept[kept.length - 1] === '' ? '' : '\n'));
+}
+
+function isCheckpointOf(o, fiscalYear, siteYear) {
+  return String(o.fiscalYear) === String(fiscalYear) && Number(o.siteYear) === Number(siteYear);
+}
+
+/** Recorded pages of a fiscal year's scrape: encodedName -> { pages (total), done: Set of page numbers }. */
+export function readCheckpoint(fiscalYear, siteYear) {
+  const progress = new Map();
+  if (!fs.existsSync(CHECKPOINT_LOG)) return progress;
+  for (const line of fs.readFileSync(CHECKPOINT_LOG, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const o = JSON.parse(line);
+      if (!isCheckpointOf(o, fiscalYear, siteYear)) continue;
+      if (!progress.has(o.dept)) progress.set(o.dept, { pages: o.pages, done: new Set() });
+      progress.get(o.dept).done.add(o.page);
+    } catch (_) {}
+  }
+  return progress;
+}
+
+function appendCheckpoint(entry) {
+  try {
+    fs.appendFileSync(CHECKPOINT_LOG, JSON.stringify({ ...entry, at: new Date().toISOString() }) + '\n');
+  } catch (e) {
+    console.warn('Could not write checkpoint:', e.message);
+  }
+}
+
+/** Drop a fiscal year's checkpoint entries; returns how many were dropped. */
+export function clearCheckpoint(fiscalYear, siteYear) {
+  if (!fs.existsSync(CHECKPOINT_LOG)) return 0;
+  let dropped = 0;
+  const kept = fs.readFileSync(CHECKPOINT_LOG, 'utf8').split('\n').filter((line) => {
+    if (!line.trim()) return false;
+    try {
+      if (!isCheckpointOf(JSON.parse(line), fiscalYear, siteYear)) return true;
+    } catch (_) {
+      return true;
+    }
+    dropped++;
+    return false;
+  });
+  if (kept.length) fs.writeFileSync(CHECKPOINT_LOG, kept.map((line) => line + '\n').join(''));
+  else fs.rmSync(CHECKPOINT_LOG);
+  return dropped;
+}
+
+function isComplete(progress) {
+  return Boolean(progress) && progress.done.size >= progress.pages;
+}
+
+/**
+ * umsalary.info's "department" list mixes real departments with job titles.
+ * Skip entries that look like job titles to avoid importing swapped title/department data.
+ */
+function looksLikeJobTitle(name) {
+  if (!name || name.length < 3) return false;
+  if (/\b(department|office|center|centre|program|admin|services|division|institute|lab)\b/i.test(name)) return false;
+  const patterns = [
+    /professor/i, /\b(research\s+)?scientist\b/i, /\b(coach|lecturer|instructor)\b/i,
+    /\badjunct\b/i, /\b(fellow|postdoc|post-doc)\b/i, /\b(assoc|asst)\s+(prof|res)/i,
+    /\b(acad|academic)\s+.*\s+(ofcr|officer)\b/i, /^(asst|assoc|assistant|associate)\s+/i,
+  ];
+  return patterns.some((re) => re.test(name));
+}
+
+/**
+ * Parse dept_list.php: return list of { name, encodedName } from links to deptsearch.php.
+ * Skips entries that appear to be job titles rather than departments.
+ */
+function parseDepartmentList(html) {
+  const root = parse(html);
+  const links = root.querySelectorAll('a[href*="deptsearch.php"]');
+  const seen = new Set();
+  const list = [];
+  for (const a of links) {
+    const href = a.getAttribute('href') || '';
+    const match = href.match(/Dept=([^&]+)/);
+    const text = (a.textContent || '').trim();
+    if (!text || !match) continue;
+    const encodedName = decodeURIComponent(match[1].replace(/\+/g, ' '));
+    if (seen.has(encodedName)) continue;
+    if (looksLikeJobTitle(encodedName)) continue;
+    seen.add(encodedName);
+    list.push({ name: encodedName, encodedName: match[1] });
+  }
+  return list;
+}
+
+/**
+ * Parse "Page 1 of 14" from HTML.
+ */
+function parseTotalPages(html) {
+  const m = html.match(/Page:\s*1\s+of\s+(\d+)/i) || html.match(/Page\s+1\s+of\s+(\d+)/i);
+  return m ? Math.max(1, parseInt(m[1], 10)) : 1;
+}
+
+/**
+ * Parse salary table: rows with 5 columns (Name, Title, Department, FTR, GF).
+ * Table is identified by header row containing "FTR" and "GF".
+ */
+function parseSalaryTable(html) {
+  const root = parse(html);
+  const tables = root.querySelectorAll('table');
+  const records = [];
+  for (const table of tables) {
+    const rows = table.querySelectorAll('tr');
+    let dataStart = false;
+    for (const tr of rows) {
+      const ths = tr.querySelectorAll('th');
+      const cells = tr.querySelectorAll('td');
+      if (ths.length >= 5) {
+        const text = (tr.textContent || '').toLowerCase();
+        if (text.includes('ftr') && text.includes('gf')) dataStart = true;
+        continue;
+      }
+      if (cells.length >= 5 && dataStart) {
+        const nameText = (cells[0]?.textContent || '').trim();
+        const titleText = (cells[1]?.textContent || '').trim();
+        const deptText = (cells[2]?.textContent || '').trim();
+        const ftrText = (cells[3]?.textContent || '').trim();
+        const gfText = (cells[4]?.textContent || '').trim();
+        const nameParts = nameText.split(',').map((s) => s.trim());
+        const lastName = nameParts[0] || '';
+        const firstName = nameParts.slice(1).join(' ').trim() || '';
+        if (!lastName) continue;
+        records.push({
+          last_name: lastName,
+          first_name: firstName,
+          title: titleText,
+          department: deptText,
+          campus: 'UM_ANN-ARBOR',
+          ftr: parseCurrency(ftrText),
+          gf: parseCurrency(gfText),
+          // umsalary.info does not publish the appointment basis; recorded as full-time 12-month
+          basis_months: 12,
+          fte_fraction: 1,
+        });
+      }
+    }
+    if (records.length > 0) return records;
+  }
+  return records;
+}
+
+/** The departments to process for a run, after skip/limit, onlyIndices or retryFailed. */
+function selectDepartments(departments, { siteYear, skip, limit, onlyIndices, retryFailed }, ctx) {
+  if (retryFailed) {
+    const failed = new Set(readFailures(siteYear).map((f) => f.encodedName));
+    const selected = departments.filter((d) => failed.has(d.encodedName));
+    ctx.log('Retry mode: processing %d previously failed departments', selected.length);
+    return selected;
+  }
+  if (onlyIndices?.length) {
+    const selected = onlyIndices.map((idx) => departments[idx - 1]).filter(Boolean);
+    ctx.log('Only-indices mode: processing %d departments (indices %s)', selected.length, onlyIndices.join(','));
+    return selected;
+  }
+  let selected = departments;
+  if (skip > 0) {
+    selected = selected.slice(skip);
+    ctx.log('Skipping first %d, processing %d', skip, selected.length);
+  }
+  if (limit > 0) {
+    selected = selected.slice(0, limit);
+    ctx.log('Limited to first %d departments', limit);
+  }
+  return selected;
+}
+
+export const umsalaryHtml = {
+  name: 'umsalary-html',
+  description: 'umsalary.info department pages (Ann Arbor only, no appointment basis)',
+  async *read(source, ctx) {
+    const { siteYear = 0, delayMs = 1500, offline = false, cacheDir = CACHE_DIR, checkpoint = null } = source;
+    const cache = openPageCache(cacheDir);
+    const getPage = async (url) => {
+      let html;
+      if (offline) {
+        html = cache.get(url);
+        if (html == null) throw new Error(`Not in the page cache: ${url}`);
+      } else {
+        await sleep(delayMs);
+        html = await fetchPage(url);
+        cache.put(url, html);
+      }
+      ctx.hash(html);
+      return html;
+    };
+    ctx.log(offline ? 'Offline: reading pages from %s (%d cached URLs)' : 'Caching fetched pages in %s', cacheDir, cache.size);
+
+    const listUrl = `${BASE}/dept_list.php`;
+    ctx.log('%s department list: %s', offline ? 'Reading' : 'Fetching', listUrl);
+    const all = parseDepartmentList(await getPage(listUrl));
+    ctx.log('Found %d departments', all.length);
+    let departments = selectDepartments(all, source, ctx);
+
+    const progress = checkpoint != null ? readCheckpoint(checkpoint, siteYear) : new Map();
+    if (progress.size) {
+      const remaining = departments.filter((d) => !isComplete(progress.get(d.encodedName)));
+      ctx.log('Checkpoint: skipping %d departments already stored for %s; %d to go', departments.length - remaining.length, checkpoint, remaining.length);
+      departments = remaining;
+    }
+
+    const succeeded = new Set();
+    for (let i = 0; i < departments.length; i++) {
+      const dept = departments[i];
+      const label = `[${i + 1}/${departments.length}] ${dept.name.slice(0, 40)}${dept.name.length > 40 ? '…' : ''}`;
+      const pageUrl = (page) => `${BASE}/deptsearch.php?Dept=${dept.encodedName}&Year=${siteYear}${page > 1 ? `&page=${page}` : ''}`;
+      const started = progress.get(dept.encodedName);
+      const storedBefore = started?.done.size ?? 0;
+      let totalPages = started?.pages ?? null;
+      let rows = 0;
+      try {
+        // The first page tells how many there are; a resumed department knows from its checkpoint
+        for (let page = 1; page <= (totalPages ?? 1); page++) {
+          if (started?.done.has(page)) continue;
+          const html = await getPage(pageUrl(page));
+          if (totalPages == null) totalPages = parseTotalPages(html);
+          const records = parseSalaryTable(html);
+          rows += records.length;
+          // Resumed only after the pipeline has stored the batch
+          yield records;
+          if (checkpoint != null) {
+            appendCheckpoint({ fiscalYear: checkpoint, siteYear, dept: dept.encodedName, page, pages: totalPages });
+            if (!progress.has(dept.encodedName)) progress.set(dept.encodedName, { pages: totalPages, done: new Set() });
+            progress.get(dept.encodedName).done.add(page);
+          }
+        }
+      } catch (err) {
+        ctx.log('%s: ERROR %s', label, err.message);
+        ctx.fail('department fetch failed', `${dept.name}: ${err.message}`);
+        appendFailure(siteYear, dept, err);
+        continue;
+      }
+      ctx.log('%s: %d rows%s', label, rows, storedBefore ? ` (resumed; ${storedBefore} of ${totalPages} pages stored before)` : '');
+      succeeded.add(dept.encodedName);
+    }
+
+    if (source.retryFailed && succeeded.size > 0) {
+      removeFailedFromLog(siteYear, succeeded);
+      ctx.log('Removed %d departments from failure log (retry succeeded)', succeeded.size);
+    }
+    if (checkpoint != null && all.every((d) => isComplete(progress.get(d.encodedName)))) {
+      clearCheckpoint(checkpoint, siteYear);
+      ctx.log('Checkpoint: every department stored for %s; checkpoint cleared', checkpoint);
+    }
+  },
+};
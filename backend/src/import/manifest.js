@@ -0,0 +1,72 @@
+/**
+ * Import manifest: a JSON file listing the source documents of a batch load, one entry each:
+ *
+ *   {
+ *     "sources": [
+ *       {
+ *         "file": "salary_record_2025.pdf",   path relative to the manifest (or "url")
+ *         "fiscalYear": "2025",               fiscal year label (fiscal_years registry)
+ *         "campuses": ["UM_ANN-ARBOR"],       campus codes the document is imported for (default: all)
+ *         "format": "pdf-layout",             adapter name (default: from the file extension)
+ *         "sha256": "7d26…",                  expected checksum of the file
+ *         "records": 54659,                   expected number of records read (within campuses)
+ *         "retire": false                     delete stored rows the document no longer lists
+ *       }
+ *     ]
+ *   }
+ *
+ * loadManifest checks the entries' shape; the import:manifest script checks files and counts.
+ */
+import fs from 'fs';
+import path from 'path';
+import { ADAPTERS } from './adapters/index.js';
+import { CAMPUS_IDS } from './record.js';
+
+const SHA256 = /^[0-9a-f]{64}$/;
+
+function entryErrors(entry) {
+  const errors = [];
+  if (!entry.file && !entry.url) errors.push('needs "file" or "url"');
+  if (!/^\d{4}$/.test(String(entry.fiscalYear ?? ''))) errors.push('"fiscalYear" must be a four-digit label such as "2025"');
+  if (entry.format != null && !ADAPTERS[entry.format]) errors.push(`unknown "format" ${entry.format}; expected one of ${Object.keys(ADAPTERS).join(', ')}`);
+  if (entry.campuses != null) {
+    const bad = Array.isArray(entry.campuses) ? entry.campuses.filter((c) => !(c in CAMPUS_IDS)) : [entry.campuses];
+    if (bad.length || !entry.campuses.length) errors.push(`"campuses" must list campus codes (${Object.keys(CAMPUS_IDS).join(', ')})`);
+  }
+  if (!SHA256.test(String(entry.sha256 ?? '').toLowerCase())) errors.push('"sha256" must be a 64-character hex checksum');
+  if (!Number.isInteger(entry.records) || entry.records < 0) errors.push('"records" must be the expected record count');
+  return errors;
+}
+
+/**
+ * Read and check a manifest. Returns [{ index, name, file, url, label, campuses, format, sha256,
+ * records, retire }] with file resolved against the manifest's directory; throws listing every
+ * invalid entry.
+ */
+export function loadManifest(manifestPath) {
+  if (!/\.json$/i.test(manifestPath)) throw new Error(`Manifests are JSON files: ${manifestPath}`);
+  const raw = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  const sources = Array.isArray(raw) ? raw : raw.sources;
+  if (!Array.isArray(sources) || sources.length === 0) throw new Error(`${manifestPath} lists no sources`);
+
+  const dir = path.dirname(path.resolve(manifestPath));
+  const problems = [];
+  const entries = sources.map((entry, i) => {
+    const errors = entryErrors(entry);
+    if (errors.length) problems.push(`  #${i + 1} ${entry.file || entry.url || ''}: ${errors.join('; ')}`);
+    return {
+      index: i + 1,
+      name: entry.file || entry.url,
+      file: entry.file ? path.resolve(dir, entry.file) : null,
+      url: entry.url ?? null,
+      label: String(entry.fiscalYear),
+      campuses: entry.campuses ?? null,
+      format: entry.format ?? null,
+      sha256: String(entry.sha256 ?? '').toLowerCase(),
+      records: entry.records,
+      retire: entry.retire === true,
+    };
+  });
+  if (problems.length) throw new Error(`Invalid manifest ${manifestPath}:\n${problems.join('\n')}`);
+  return entries;
+}
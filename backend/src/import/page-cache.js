@@ -0,0 +1,66 @@
+/**
+ * Content-addressed cache of fetched web pages. Every body is stored once under its SHA-256
+ * (pages/ab/ab12….html) and index.jsonl gets one JSON line per fetch ({ url, sha256, bytes,
+ * fetchedAt }). The latest body of a URL can be read back without the network; bodies of earlier
+ * fetches stay on disk, so an old scrape can be parsed again after a parser fix.
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+function readIndex(indexFile) {
+  const latest = new Map();
+  if (!fs.existsSync(indexFile)) return latest;
+  for (const line of fs.readFileSync(indexFile, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const o = JSON.parse(line);
+      if (o.url && o.sha256) latest.set(o.url, o.sha256);
+    } catch (_) {}
+  }
+  return latest;
+}
+
+/**
+ * Open (creating it when needed) the cache in dir. Returns
+ *   get(url)        -> the latest cached body of url, or null
+ *   put(url, body)  -> store a fetched body and index it; returns its SHA-256
+ *   size            -> number of URLs in the index
+ */
+export function openPageCache(dir) {
+  const indexFile = path.join(dir, 'index.jsonl');
+  const pageFile = (sha) => path.join(dir, 'pages', sha.slice(0, 2), `${sha}.html`);
+  fs.mkdirSync(dir, { recursive: true });
+  const latest = readIndex(indexFile);
+
+  return {
+    get(url) {
+      const sha = latest.get(url);
+      if (!sha) return null;
+      try {
+        return fs.readFileSync(pageFile(sha), 'utf8');
+      } catch (_) {
+        return null;
+      }
+    },
+
+    put(url, body) {
+      const sha = crypto.createHash('sha256').update(body).digest('hex');
+      const file = pageFile(sha);
+      if (!fs.existsSync(file)) {
+        // Written under a temporary name first, so an interrupted run never leaves half a page
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, body);
+        fs.renameSync(tmp, file);
+      }
+      fs.appendFileSync(indexFile, JSON.stringify({ url, sha256: sha, bytes: Buffer.byteLength(body), fetchedAt: new Date().toISOString() }) + '\n');
+      latest.set(url, sha);
+      return sha;
+    },
+
+    get size() {
+      return latest.size;
+    },
+  };
+}
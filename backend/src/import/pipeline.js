@@ -0,0 +1,259 @@
+/**
+ * The import pipeline shared by every import script: read records from a source through an
+ * adapter (adapters/index.js), normalize them (record.js), validate them (validate.js), insert
+ * them into salary_records under an import run (db/import-runs.js), publish the year and run the
+ * post-import step. Rows validation holds back go to the quarantine table instead.
+ *
+ * The default insert mode is re-run safe: a row already present for the year (same name, title
+ * and department) is skipped, not updated. Rows are committed as they are inserted, so a failed
+ * run keeps what it inserted before the error; the run is marked 'failed' and those rows still
+ * reference it. The reconcile mode (reconcile.js) applies corrections and is all-or-nothing.
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { getAdapter } from './adapters/index.js';
+import { SourceError, normalizeRecord } from './record.js';
+import { diffYear, logDiff, applyDiff } from './reconcile.js';
+import { createValidator, logQualityReport } from './validate.js';
+import { startImportRun, finishImportRun } from '../db/import-runs.js';
+import { newChangeBatch, deleteRecords } from '../db/record-changes.js';
+import { quarantineRecords } from '../db/quarantine.js';
+import { markYearImported } from '../db/fiscal-years.js';
+import { runPostImport, logPostImport, withWriteLock } from '../db/post-import.js';
+
+export const MODES = ['insert', 'reconcile'];
+
+const BATCH = 100;
+const INSERT_COLUMNS = [
+  'last_name', 'first_name', 'title', 'department', 'fiscal_year', 'year_key', 'campus', 'campus_id',
+  'ftr', 'gf', 'period_fte', 'basis_months', 'fte_fraction', 'import_run_id',
+];
+// Failures printed at the end of a run; the rest are only counted
+const MAX_LOGGED_FAILURES = 10;
+
+/**
+ * Read a file (relative to the working directory) or fetch a URL into { name, buffer }, where
+ * name is what the run records as its source.
+ */
+export async function loadSource({ file, url }) {
+  if (file) {
+    const resolved = path.isAbsolute(file) ? file : path.resolve(process.cwd(), file);
+    if (!fs.existsSync(resolved)) throw new Error(`File not found: ${resolved}`);
+    return { name: path.basename(resolved), buffer: fs.readFileSync(resolved) };
+  }
+  const res = await fetch(url, { headers: { 'User-Agent': 'UM-Salary-Import/1.0' } });
+  if (!res.ok) throw new Error(`HTTP ${res.status}: ${url}`);
+  return { name: url, buffer: Buffer.from(await res.arrayBuffer()) };
+}
+
+async function insertBatch(client, batch, year, runId) {
+  const values = [];
+  const params = [];
+  for (const r of batch) {
+    const row = { ...r, fiscal_year: year.fiscal_year, year_key: year.year_key, import_run_id: runId };
+    values.push(`(${INSERT_COLUMNS.map((_, i) => `$${params.length + i + 1}`).join(',')})`);
+    params.push(...INSERT_COLUMNS.map((c) => row[c]));
+  }
+  const res = await client.query(
+    `INSERT INTO salary_records (${INSERT_COLUMNS.join(', ')})
+     VALUES ${values.join(',')}
+     ON CONFLICT (last_name, first_name, title, department, year_key) DO NOTHING`,
+    params
+  );
+  return res.rowCount ?? 0;
+}
+
+/** Insert normalized records for a year under a run, skipping existing keys; returns the number inserted. */
+async function insertRows(client, records, year, runId) {
+  let inserted = 0;
+  for (let b = 0; b < records.length; b += BATCH) {
+    inserted += await insertBatch(client, records.slice(b, b + BATCH), year, runId);
+  }
+  return inserted;
+}
+
+/**
+ * Import one source into a fiscal year.
+ *   adapter   adapter name (see adapters/index.js)
+ *   source    { name, buffer } from loadSource, or the adapter's own options (umsalary-html);
+ *             name is recorded on the run
+ *   year      fiscal_years row ({ year_key, fiscal_year, label }); may be null for a dry run
+ *   mode      'insert' (default): add rows not stored yet, leave stored rows alone.
+ *             'reconcile': diff the whole source against the stored year (reconcile.js), print
+ *             the diff, then insert, update and (with retire) delete in one transaction
+ *   retire    reconcile only: delete stored rows that are missing from the source
+ *   limit     stop after this many records (0 = all; insert mode only)
+ *   clear     delete every salary record and unpublish the other years first (insert mode only)
+ *   campuses  campus codes to import (others are ignored), or null for all; with reconcile, only
+ *             stored rows of these campuses are compared, updated or retired
+ *   expectedCount  reconcile only: fail before writing anything unless the source has exactly
+ *             this many records (within campuses)
+ *   dryRun    no database writes: print a sample (insert) or the diff (reconcile; needs client)
+ * Every run validates the records (validate.js), prints the quality report and stores it on the run.
+ * Returns { runId, adapter, mode, checksum, parsed, inserted, updated, retired, skipped, failed, held, quality, durationMs }.
+ */
+export async function runImport(client, {
+  adapter: adapterName, source, year, mode = 'insert', retire = false, limit = 0, clear = false,
+  campuses = null, expectedCount = null, dryRun = false, log = console.log,
+}) {
+  const adapter = getAdapter(adapterName);
+  if (!MODES.includes(mode)) throw new SourceError(`Unknown import mode "${mode}"; expected ${MODES.join(' or ')}`);
+  if (mode === 'reconcile' && (clear || limit > 0)) {
+    throw new SourceError('Reconcile compares the complete source with the stored year; it cannot be combined with CLEAR or LIMIT');
+  }
+  if (retire && mode !== 'reconcile') throw new SourceError('Retiring missing rows needs the reconcile mode');
+  if (expectedCount != null && mode !== 'reconcile') throw new SourceError('Checking the record count needs the reconcile mode');
+
+  const started = Date.now();
+  const hash = crypto.createHash('sha256');
+  if (source.buffer) hash.update(source.buffer);
+  const failures = [];
+  const counts = { parsed: 0, inserted: 0, updated: 0, retired: 0, skipped: 0, failed: 0, held: 0 };
+  let quality = null;
+  const ctx = {
+    log,
+    hash: (data) => hash.update(data),
+    fail: (reason, detail) => {
+      counts.failed++;
+      if (failures.length < MAX_LOGGED_FAILURES) failures.push(`${reason}: ${String(detail ?? '').replace(/\s+/g, ' ')}`);
+    },
+  };
+  const inScope = (records) => (campuses ? records.filter((r) => campuses.includes(r.campus)) : records);
+  const summary = (checksum) => ({ runId, adapter: adapter.name, mode, checksum, ...counts, quality, durationMs: Date.now() - started });
+  const logFailures = () => {
+    if (!failures.length) return;
+    log('Could not read %d source rows, e.g.:', counts.failed);
+    failures.forEach((f) => log('  - %s', f.slice(0, 160)));
+  };
+
+  log('Adapter: %s (%s), mode: %s', adapter.name, adapter.description, mode);
+  let runId = null;
+  if (!dryRun) {
+    runId = await startImportRun(client, {
+      adapter: adapter.name, source: source.name, yearKey: year.year_key, options: { mode, retire, limit, clear, campuses, expectedCount },
+    });
+    log('Import run %d: %s into %s (year_key=%s)', runId, source.name, year.fiscal_year, year.year_key);
+  }
+  const validator = await createValidator(client, year);
+  const quarantine = (entries, held) => quarantineRecords(client, { runId, yearKey: year.year_key, held }, entries);
+
+  if (mode === 'reconcile') {
+    let diff;
+    let held;
+    let flagged;
+    try {
+      const records = [];
+      for await (const batch of adapter.read(source, ctx)) records.push(...inScope(batch.map(normalizeRecord)));
+      counts.parsed = records.length;
+      logFailures();
+      if (expectedCount != null && counts.parsed !== expectedCount) {
+        throw new SourceError(`Expected ${expectedCount} records${campuses ? ` for ${campuses.join(', ')}` : ''} but read ${counts.parsed} (${counts.parsed - expectedCount > 0 ? '+' : ''}${counts.parsed - expectedCount})`);
+      }
+      const checked = validator.check(records);
+      held = checked.held;
+      ({ flagged, report: quality } = validator.finish());
+      counts.held = held.length;
+      // A held row that is stored already is left alone, not treated as missing from the source
+      diff = await diffYear(client, year?.year_key ?? null, checked.accepted, { keep: held.map((e) => e.record), campuses });
+    } catch (err) {
+      if (runId != null) await finishImportRun(client, runId, { checksum: hash.digest('hex'), ...counts, error: err.message });
+      throw err;
+    }
+    const checksum = hash.digest('hex');
+    logQualityReport(quality, { log });
+    logDiff(diff, { retire, log });
+    if (retire && counts.failed > 0 && diff.missing.length) {
+      log('Warning: %d source rows could not be read; rows missing because of them will be retired too.', counts.failed);
+    }
+    if (dryRun) {
+      log('Dry run: no database writes.');
+      return summary(checksum);
+    }
+
+    // Runs may read and diff side by side; writing and the post-import step wait for the write lock
+    const batch = newChangeBatch({ actor: 'import:reconcile', reason: `run ${runId}: ${source.name}` });
+    let applied;
+    try {
+      applied = await withWriteLock(client, async () => {
+        const result = await applyDiff(client, diff, {
+          runId,
+          retire,
+          batch,
+          insertRows: (rows) => insertRows(client, rows, year, runId),
+        });
+        Object.assign(counts, result, { skipped: counts.parsed - result.inserted - result.updated - counts.held });
+        await quarantine(held, true);
+        await quarantine(flagged, false);
+        await finishImportRun(client, runId, { checksum, ...counts, quality });
+        if (result.inserted + result.updated + result.retired > 0) {
+          await markYearImported(client, year.year_key, source.name);
+          logPostImport(await runPostImport(client, { reason: `reconcile ${adapter.name} ${year.label} (run ${runId})`, link: result.inserted > 0 }), { log });
+        }
+        return result;
+      });
+    } catch (err) {
+      await finishImportRun(client, runId, { checksum, ...counts, error: err.message });
+      throw err;
+    }
+    if (applied.updated + applied.retired > 0) log('Updates and retirements logged as change batch %s', batch.id);
+    log('Done. Inserted: %d, updated: %d, retired: %d, unchanged: %d, held: %d, failed: %d',
+      counts.inserted, counts.updated, counts.retired, counts.skipped, counts.held, counts.failed);
+    return summary(checksum);
+  }
+
+  const sample = [];
+  try {
+    if (clear && !dryRun) {
+      const batch = newChangeBatch({ actor: 'import:clear', reason: `run ${runId}: ${source.name}` });
+      const deleted = await deleteRecords(client, batch, 'TRUE');
+      await client.query('UPDATE fiscal_years SET published = FALSE, imported_at = NULL WHERE year_key <> $1', [year.year_key]);
+      log('Cleared %d existing records (CLEAR=1; change batch %s)', deleted, batch.id);
+    }
+
+    for await (const records of adapter.read(source, ctx)) {
+      const take = limit > 0 ? records.slice(0, limit - counts.parsed) : records;
+      counts.parsed += take.length;
+      const { accepted, held } = validator.check(inScope(take.map(normalizeRecord)));
+      counts.held += held.length;
+      if (dryRun) {
+        sample.push(...accepted.slice(0, 5 - sample.length));
+      } else {
+        if (held.length) await quarantine(held, true);
+        const inserted = await insertRows(client, accepted, year, runId);
+        counts.inserted += inserted;
+        counts.skipped += accepted.length - inserted;
+      }
+      if (limit > 0 && counts.parsed >= limit) break;
+    }
+  } catch (err) {
+    if (runId != null) {
+      await finishImportRun(client, runId, { checksum: hash.digest('hex'), ...counts, error: err.message });
+    }
+    throw err;
+  }
+
+  const checksum = hash.digest('hex');
+  logFailures();
+  const { flagged, report } = validator.finish();
+  quality = report;
+  logQualityReport(quality, { log });
+
+  if (dryRun) {
+    sample.forEach((r, i) => log('[%s] %s, %s | %s | %s | FTR=%s GF=%s', i + 1, r.last_name, r.first_name, r.title, r.department, r.ftr, r.gf));
+    log('Dry run: parsed %d records, %d unreadable; no database writes.', counts.parsed, counts.failed);
+    return summary(checksum);
+  }
+
+  await quarantine(flagged, false);
+  await finishImportRun(client, runId, { checksum, ...counts, quality });
+  log('Done. Parsed: %d, inserted: %d, skipped (already stored): %d, held: %d, failed: %d',
+    counts.parsed, counts.inserted, counts.skipped, counts.held, counts.failed);
+  if (counts.inserted > 0 || clear) {
+    await withWriteLock(client, async () => {
+      await markYearImported(client, year.year_key, source.name);
+      logPostImport(await runPostImport(client, { reason: `import ${adapter.name} ${year.label} (run ${runId})`, link: counts.inserted > 0 }), { log });
+    });
+  }
+  return summary(checksum);
+}
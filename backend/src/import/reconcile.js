@@ -0,0 +1,124 @@
+/**
+ * Reconcile mode: compare a source's complete record set for a year with the stored rows and
+ * apply the difference, instead of only inserting rows that are not there yet.
+ *
+ * Rows are matched on the import key (last name, first name, title, department). A matched row
+ * whose amounts or appointment (FTR, GF, basis, fraction, campus) differ is updated in place, so
+ * it keeps its id and person link. A row whose title or department changed does not match: it
+ * is a new row plus a missing one. Missing rows are only deleted ("retired") when asked to.
+ */
+import { updateRecords, deleteRecords } from '../db/record-changes.js';
+
+// Compared and updated on a matched row; text columns are part of the key
+const AMOUNT_FIELDS = ['ftr', 'gf', 'basis_months', 'fte_fraction', 'campus'];
+// Set on a changed row: the compared fields and the columns derived from them
+const UPDATED_COLUMNS = ['ftr', 'gf', 'basis_months', 'fte_fraction', 'period_fte', 'campus', 'campus_id'];
+// Examples printed per kind of difference
+const MAX_EXAMPLES = 10;
+const BATCH = 100;
+
+function keyOf(r) {
+  return [r.last_name, r.first_name ?? '', r.title ?? '', r.department ?? ''].join('\u0000');
+}
+
+/** Numbers compared at the column's scale (cents, hundredths of FTE); text as is. */
+function comparable(field, value) {
+  if (value == null) return null;
+  if (field === 'campus') return String(value);
+  return Math.round(Number(value) * 100) / 100;
+}
+
+/**
+ * Diff incoming (normalized) records against the stored rows of a year (yearKey may be null for
+ * a year not registered yet). Returns { added, changed, unchanged, missing, duplicates } where
+ * changed is [{ id, before, after, fields }] and missing the stored rows not in the source.
+ * Stored rows matching a record in keep (source rows validation held back) are not missing.
+ * With campuses, only stored rows of those campuses are compared (a source covering one campus).
+ */
+export async function diffYear(client, yearKey, records, { keep = [], campuses = null } = {}) {
+  const stored = new Map();
+  if (yearKey != null) {
+    const { rows } = await client.query(
+      `SELECT id, last_name, first_name, title, department, ${AMOUNT_FIELDS.join(', ')}
+       FROM salary_records WHERE year_key = $1 AND ($2::text[] IS NULL OR campus = ANY($2))`,
+      [yearKey, campuses]
+    );
+    for (const row of rows) stored.set(keyOf(row), row);
+  }
+
+  const seen = new Set();
+  const diff = { added: [], changed: [], unchanged: 0, missing: [], duplicates: 0 };
+  for (const r of records) {
+    const key = keyOf(r);
+    if (seen.has(key)) {
+      // Same as the insert mode: the first row for a key wins
+      diff.duplicates++;
+      continue;
+    }
+    seen.add(key);
+    const before = stored.get(key);
+    if (!before) {
+      diff.added.push(r);
+      continue;
+    }
+    const fields = AMOUNT_FIELDS.filter((f) => comparable(f, before[f]) !== comparable(f, r[f]));
+    if (fields.length) diff.changed.push({ id: before.id, before, after: r, fields });
+    else diff.unchanged++;
+  }
+  const kept = new Set(keep.map(keyOf));
+  for (const [key, row] of stored) {
+    if (!seen.has(key) && !kept.has(key)) diff.missing.push(row);
+  }
+  return diff;
+}
+
+function describe(r) {
+  return `${r.last_name}, ${r.first_name} | ${r.title} | ${r.department}`;
+}
+
+/** Print the diff: counts, then a few examples of each kind of difference. */
+export function logDiff(diff, { retire = false, log = console.log } = {}) {
+  log('Reconcile:');
+  log('  + %d new', diff.added.length);
+  log('  ~ %d changed', diff.changed.length);
+  log('  = %d unchanged', diff.unchanged);
+  log('  - %d missing from the source (%s)', diff.missing.length, retire ? 'retired' : 'kept; RETIRE=1 deletes them');
+  if (diff.duplicates) log('  %d duplicate source rows ignored', diff.duplicates);
+
+  diff.added.slice(0, MAX_EXAMPLES).forEach((r) => log('  + %s | FTR=%s GF=%s', describe(r), r.ftr, r.gf));
+  diff.changed.slice(0, MAX_EXAMPLES).forEach(({ before, after, fields }) => {
+    log('  ~ %s | %s', describe(before), fields.map((f) => `${f} ${before[f]} -> ${after[f]}`).join(', '));
+  });
+  diff.missing.slice(0, MAX_EXAMPLES).forEach((r) => log('  - %s | FTR=%s GF=%s', describe(r), r.ftr, r.gf));
+  const more = Math.max(0, diff.added.length - MAX_EXAMPLES) + Math.max(0, diff.changed.length - MAX_EXAMPLES)
+    + Math.max(0, diff.missing.length - MAX_EXAMPLES);
+  if (more) log('  ... and %d more', more);
+}
+
+/**
+ * Apply a diff inside the caller's transaction: insert added rows (insertRows), update changed
+ * rows and attribute them to the run, and delete missing rows when retire is set. Updates and
+ * deletions are logged to the change history under batch (db/record-changes.js).
+ * Returns { inserted, updated, retired }.
+ */
+export async function applyDiff(client, diff, { runId, retire = false, batch, insertRows }) {
+  const inserted = await insertRows(diff.added);
+
+  let updated = 0;
+  for (let b = 0; b < diff.changed.length; b += BATCH) {
+    const updates = diff.changed.slice(b, b + BATCH).map(({ id, after }) => ({
+      id,
+      values: {
+        ...Object.fromEntries(UPDATED_COLUMNS.map((c) => [c, after[c]])),
+        import_run_id: runId,
+      },
+    }));
+    updated += await updateRecords(client, batch, updates);
+  }
+
+  let retired = 0;
+  if (retire && diff.missing.length) {
+    retired = await deleteRecords(client, batch, 'id = ANY($1::uuid[])', [diff.missing.map((r) => r.id)]);
+  }
+  return { inserted, updated, retired };
+}
@@ -0,0 +1,66 @@
+/**
+ * The common record every import adapter produces, and the helpers adapters share.
+ *
+ * An adapter yields plain objects with the salary_records columns it knows:
+ *   { last_name, first_name, title, department, campus, ftr, gf, basis_months, fte_fraction }
+ * campus is the disclosure's campus code (UM_ANN-ARBOR, UM_DEARBOR, UM_FLINT). normalizeRecord
+ * fills in campus_id and period_fte and truncates text to the column sizes; the pipeline adds
+ * the fiscal year and import run.
+ */
+import { formatPeriodFte } from '../db/appointment.js';
+
+/**
+ * An import that cannot run as given because of its input (the file, a column mapping, a campus,
+ * an option) rather than a fault on the server. The admin API answers it with 400.
+ */
+export class SourceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SourceError';
+  }
+}
+
+export const CAMPUS_IDS = { 'UM_ANN-ARBOR': 1, 'UM_DEARBOR': 2, 'UM_FLINT': 3 };
+
+// Campus spellings without the UM_ prefix -> code. The 2024 and later disclosures print Dearborn
+// as UM_DEARBORN; records keep the older code.
+const CAMPUS_NAMES = { 'ANN ARBOR': 'UM_ANN-ARBOR', 'DEARBOR': 'UM_DEARBOR', 'DEARBORN': 'UM_DEARBOR', 'FLINT': 'UM_FLINT' };
+
+const MAX_LEN = { last_name: 255, first_name: 255, title: 500, department: 500, period_fte: 50, campus: 100 };
+
+export function truncateRecord(r) {
+  const out = { ...r };
+  for (const [k, max] of Object.entries(MAX_LEN)) {
+    if (out[k] != null && String(out[k]).length > max) out[k] = String(out[k]).slice(0, max);
+  }
+  return out;
+}
+
+/**
+ * The CAMPUS_IDS code for a campus code or name ("UM_DEARBORN", "Ann Arbor", "um-flint"), or
+ * null when it names no campus.
+ */
+export function campusCode(text) {
+  const name = String(text ?? '').trim().toUpperCase().replace(/^UM[\s_-]+/, '').replace(/[\s_-]+/g, ' ');
+  return CAMPUS_NAMES[name] ?? null;
+}
+
+/** "1,234.50" or "$1,234.50" -> 1234.5; anything unparsable is 0. */
+export function parseCurrency(text) {
+  if (text == null) return 0;
+  const n = parseFloat(String(text).replace(/[$,\s]/g, ''));
+  return Number.isFinite(n) ? n : 0;
+}
+
+/** Complete an adapter record: campus id, period_fte display string, column-size truncation. */
+export function normalizeRecord(r) {
+  const basisMonths = r.basis_months ?? 12;
+  const fteFraction = r.fte_fraction ?? 1;
+  return truncateRecord({
+    ...r,
+    campus_id: CAMPUS_IDS[r.campus] ?? 1,
+    period_fte: formatPeriodFte(basisMonths, fteFraction),
+    basis_months: basisMonths,
+    fte_fraction: fteFraction,
+  });
+}
@@ -0,0 +1,201 @@
+/**
+ * Validation stage of the import pipeline: checks normalized records before they are stored.
+ *
+ * Held rows are not inserted: a non-positive FTR, a GF amount above the FTR, an empty or N/A
+ * name, title or department, and a second source row for the same import key (the first one
+ * wins). Flagged rows are inserted but listed for review: department text in the title and an
+ * FTR more than JUMP_RATIO times (or less than 1 / JUMP_RATIO of) the same person's FTR the
+ * year before. Both kinds go to salary_record_quarantine (db/quarantine.js) with their reasons,
+ * and the run's quality report (import_runs.quality) counts them with a few examples each.
+ */
+
+export const CHECKS = {
+  ftr_not_positive: { hold: true, label: 'FTR is zero or negative' },
+  gf_exceeds_ftr: { hold: true, label: 'GF amount exceeds FTR' },
+  missing_field: { hold: true, label: 'Empty or N/A name, title or department' },
+  duplicate_name: { hold: true, label: 'Same name, title and department listed again' },
+  department_in_title: { hold: false, label: 'Department text in the title' },
+  implausible_change: { hold: false, label: 'Implausible change from last year' },
+};
+
+// GF above FTR by rounding in the disclosure (about 200 rows a year, a few cents) is not an error
+const GF_TOLERANCE = 0.01;
+const JUMP_RATIO = 3;
+// Appointing-department prefixes the PDF parsers split on (adapters/pdf.js); in a title they mean
+// the split went wrong. A title that merely ends like its department ("Dean of Students") is fine.
+const DEPT_PREFIX_IN_TITLE = /\b(MM|LSA|DENT|UMH|Dbn)\b|\bRoss School\b/;
+// Only the literal placeholder: Na and Null are surnames, and "-" or "." stands in for the
+// missing half of a single name
+const MISSING = /^(n\/a)?$/i;
+const MAX_EXAMPLES = 20;
+
+function keyOf(r) {
+  return [r.last_name, r.first_name ?? '', r.title ?? '', r.department ?? ''].join('\u0000');
+}
+
+function nameOf(r) {
+  return `${r.last_name}\u0000${r.first_name ?? ''}`.toLowerCase();
+}
+
+function isMissing(value) {
+  return value == null || MISSING.test(String(value).trim());
+}
+
+function rowChecks(r) {
+  const reasons = [];
+  const ftr = Number(r.ftr);
+  if (!(ftr > 0)) reasons.push('ftr_not_positive');
+  else if (Number(r.gf) > ftr * (1 + GF_TOLERANCE)) reasons.push('gf_exceeds_ftr');
+  if ([r.last_name, r.first_name, r.title, r.department].some(isMissing)) reasons.push('missing_field');
+  if (DEPT_PREFIX_IN_TITLE.test(String(r.title ?? ''))) reasons.push('department_in_title');
+  return reasons;
+}
+
+/** Previous fiscal year's FTRs by name: name -> [{ title, department, ftr }]. */
+async function loadPreviousYear(client, year) {
+  if (!client || !year) return null;
+  const { rows: [prev] } = await client.query(
+    `SELECT p.year_key, p.label
+     FROM fiscal_years cur
+     JOIN fiscal_years p ON p.start_date = cur.start_date - INTERVAL '1 year'
+     WHERE cur.year_key = $1`,
+    [year.year_key]
+  );
+  if (!prev) return null;
+  const { rows } = await client.query(
+    'SELECT last_name, first_name, title, department, ftr FROM salary_records WHERE year_key = $1',
+    [prev.year_key]
+  );
+  if (rows.length === 0) return null;
+  const byName = new Map();
+  for (const r of rows) {
+    const name = nameOf(r);
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push({ title: r.title, department: r.department, ftr: Number(r.ftr) });
+  }
+  return { label: prev.label, byName };
+}
+
+/**
+ * Start validating an import into year (null for a dry run of an unregistered year; the
+ * year-over-year check is skipped when there is no stored previous year). Returns
+ *   check(records)  -> { accepted, held }: held is [{ record, reasons }]; call per batch
+ *   finish()        -> { flagged, report }: flagged is [{ record, reasons }] among accepted rows
+ */
+export async function createValidator(client, year) {
+  const previous = await loadPreviousYear(client, year);
+  const seen = new Set();
+  const accepted = [];
+  const held = [];
+  const flagged = new Map();
+  const previousFtr = new Map();
+  const counts = Object.fromEntries(Object.keys(CHECKS).map((c) => [c, 0]));
+  let checked = 0;
+
+  function flag(record, reasons) {
+    const entry = flagged.get(record) ?? { record, reasons: [] };
+    entry.reasons.push(...reasons);
+    flagged.set(record, entry);
+  }
+
+  return {
+    check(records) {
+      const ok = [];
+      const out = [];
+      for (const r of records) {
+        checked++;
+        const reasons = rowChecks(r);
+        const key = keyOf(r);
+        if (seen.has(key)) reasons.push('duplicate_name');
+        else seen.add(key);
+        reasons.forEach((c) => counts[c]++);
+        if (reasons.some((c) => CHECKS[c].hold)) {
+          out.push({ record: r, reasons });
+          continue;
+        }
+        ok.push(r);
+        accepted.push(r);
+        if (reasons.length) flag(r, reasons);
+      }
+      held.push(...out);
+      return { accepted: ok, held: out };
+    },
+
+    finish() {
+      const byName = new Map();
+      for (const r of accepted) {
+        const name = nameOf(r);
+        if (!byName.has(name)) byName.set(name, []);
+        byName.get(name).push(r);
+      }
+
+      // Same appointment last year, or the person's only record in both years (as in db/raises.js)
+      if (previous) {
+        for (const [name, rows] of byName) {
+          const before = previous.byName.get(name);
+          if (!before) continue;
+          for (const r of rows) {
+            const match = before.find((p) => p.title === r.title && p.department === r.department)
+              ?? (before.length === 1 && rows.length === 1 ? before[0] : null);
+            if (!match || !(match.ftr > 0)) continue;
+            const ratio = Number(r.ftr) / match.ftr;
+            if (ratio > JUMP_RATIO || ratio < 1 / JUMP_RATIO) {
+              counts.implausible_change++;
+              flag(r, ['implausible_change']);
+              previousFtr.set(r, match.ftr);
+            }
+          }
+        }
+      }
+
+      const flaggedList = [...flagged.values()];
+      const multiple = [...byName.values()].filter((rows) => rows.length > 1);
+      const report = {
+        checkedAt: new Date().toISOString(),
+        previousYear: previous?.label ?? null,
+        records: checked,
+        accepted: accepted.length,
+        held: held.length,
+        flagged: flaggedList.length,
+        checks: Object.fromEntries(Object.entries(CHECKS).map(([code, { hold, label }]) => {
+          const entries = [...held, ...flaggedList].filter((e) => e.reasons.includes(code)).slice(0, MAX_EXAMPLES);
+          return [code, { hold, label, count: counts[code], examples: entries.map(({ record }) => example(record, previousFtr.get(record))) }];
+        })),
+        // Informational: concurrent appointments and namesakes, not an error by themselves
+        multipleAppointments: { names: multiple.length, records: multiple.reduce((n, rows) => n + rows.length, 0) },
+      };
+      return { flagged: flaggedList, report };
+    },
+  };
+}
+
+function example(r, previousFtr) {
+  const out = {
+    name: `${r.last_name}, ${r.first_name ?? ''}`,
+    title: r.title,
+    department: r.department,
+    ftr: r.ftr,
+    gf: r.gf,
+  };
+  if (previousFtr != null) out.previousFtr = previousFtr;
+  return out;
+}
+
+/** Print a report: totals, then one line per check that found something. */
+export function logQualityReport(report, { log = console.log } = {}) {
+  log('Quality: %d records checked, %d held, %d flagged%s', report.records, report.held, report.flagged,
+    report.previousYear ? ` (compared with ${report.previousYear})` : ' (no previous year to compare with)');
+  // In CHECKS order: a report read back from JSONB has its keys reordered
+  for (const code of Object.keys(CHECKS)) {
+    const c = report.checks[code];
+    if (!c?.count) continue;
+    log('  %s %s %d  %s', c.hold ? 'held   ' : 'flagged', code.padEnd(20), c.count, c.label);
+    c.examples.slice(0, 3).forEach((e) => {
+      log('      %s | %s | %s | FTR=%s GF=%s%s', e.name, e.title, e.department, e.ftr, e.gf,
+        e.previousFtr != null ? ` (last year ${e.previousFtr})` : '');
+    });
+  }
+  if (report.multipleAppointments?.names) {
+    log('  %d names with more than one appointment (%d records; not flagged)', report.multipleAppointments.names, report.multipleAppointments.records);
+  }
+}
@@ -4,17 +4,25 @@ import cors from 'cors';
 import rateLimit from 'express-rate-limit';
 import { getYears } from './routes/years.js';
 import { getCampuses } from './routes/campuses.js';
-import { getDepartments } from './routes/departments.js';
-import { getTitles } from './routes/titles.js';
+import { getDepartments, getDepartmentSummary } from './routes/departments.js';
+import { getTitles, getTitleBenchmark } from './routes/titles.js';
 import {
   searchByName,
   searchByTitle,
   searchByDepartment,
+  searchRecords,
   getPerson,
 } from './routes/records.js';
-import { getAnalytics } from './routes/analytics.js';
+import { getAnalytics, getFunding, getRaises } from './routes/analytics.js';
+import { adminRoutes } from './routes/admin.js';
+import { responseCache } from './http-cache.js';
+import { HttpError, asyncHandler, errorHandler, notFoundHandler, requestId } from './http-errors.js';
+import pool from './db/pool.js';
+import { migrationStatus } from './db/migrations.js';
 
 const app = express();
+// First, so every response (errors included) carries X-Request-Id
+app.use(requestId());
 
 // Required when behind a proxy (Azure Front Door, load balancer) so rate limiting uses client IP
 app.set('trust proxy', 1);
@@ -25,7 +33,9 @@ const RATE_LIMIT_MAX = Number(process.env.RATE_LIMIT_MAX) || 100;
 const apiLimiter = rateLimit({
   windowMs: RATE_LIMIT_WINDOW_MS,
   max: RATE_LIMIT_MAX,
-  message: { error: 'Too many requests; please try again later.' },
+  handler: (_req, _res, next, options) => {
+    next(new HttpError(options.statusCode, 'rate_limited', 'Too many requests; please try again later.'));
+  },
   standardHeaders: true,
   legacyHeaders: false,
 });
@@ -54,8 +64,18 @@ const corsOptions = {
     callback(null, false);
   },
   optionsSuccessStatus: 200,
+  // ETag for client revalidation; If-None-Match makes GETs preflighted, so let browsers cache preflights
+  exposedHeaders: ['ETag', 'X-Request-Id'],
+  maxAge: 86400,
 };
 
+// Admin API (token in ADMIN_TOKEN) before CORS and the origin check: allowed origins get no access
+// to it, browsers get no CORS headers for it, and its responses never enter the response cache
+app.use('/api/admin', apiLimiter, adminRoutes({
+  token: process.env.ADMIN_TOKEN,
+  uploadLimit: process.env.ADMIN_UPLOAD_LIMIT || '50mb',
+}));
+
 app.use(cors(corsOptions));
 
 // Optional: reject API requests (except health) when Origin/Referer is present but not allowed
@@ -74,25 +94,60 @@ app.use('/api', (req, res, next) => {
     }
   });
   if (allowed) return next();
-  res.status(403).json({ error: 'Forbidden: origin not allowed' });
+  next(new HttpError(403, 'forbidden', 'Forbidden: origin not allowed'));
 });
 
 app.use(express.json());
 // Health before rate limiter so probes and checks don't consume the limit
 app.get('/api/health', (_req, res) => res.json({ ok: true }));
+// Response cache before the rate limiter: 304s and cache hits don't touch the DB or use up the limit
+app.use('/api', responseCache({
+  maxEntries: Number(process.env.RESPONSE_CACHE_MAX) || 500,
+  maxAge: Number(process.env.CACHE_MAX_AGE) || 300,
+  versionTtlMs: Number(process.env.DATASET_VERSION_TTL_MS) || 10000,
+}));
 app.use('/api', apiLimiter);
 
-app.get('/api/years', getYears);
-app.get('/api/campuses', getCampuses);
-app.get('/api/departments', getDepartments);
-app.get('/api/titles', getTitles);
-app.get('/api/search/name', searchByName);
-app.get('/api/search/title', searchByTitle);
-app.get('/api/search/department', searchByDepartment);
-app.get('/api/person', getPerson);
-app.get('/api/analytics', getAnalytics);
+app.get('/api/years', asyncHandler(getYears));
+app.get('/api/campuses', asyncHandler(getCampuses));
+app.get('/api/departments', asyncHandler(getDepartments));
+app.get('/api/departments/:name/summary', asyncHandler(getDepartmentSummary));
+app.get('/api/titles', asyncHandler(getTitles));
+app.get('/api/titles/:title/benchmark', asyncHandler(getTitleBenchmark));
+app.get('/api/search/name', asyncHandler(searchByName));
+app.get('/api/search/title', asyncHandler(searchByTitle));
+app.get('/api/search/department', asyncHandler(searchByDepartment));
+app.get('/api/search', asyncHandler(searchRecords));
+app.get('/api/person/:id', asyncHandler(getPerson));
+app.get('/api/analytics', asyncHandler(getAnalytics));
+app.get('/api/analytics/raises', asyncHandler(getRaises));
+app.get('/api/analytics/funding', asyncHandler(getFunding));
+
+// Unknown paths, then every error passed to next() or thrown by a route: one JSON error body
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`API listening on http://localhost:${PORT}`);
+
+// Refuse to serve a database whose schema does not match the migration files: behind the code
+// (pending), built from a migration that was edited since (modified), or ahead of it (missing)
+async function start() {
+  const status = await migrationStatus(pool);
+  const problems = [
+    [status.filter((m) => !m.applied), 'pending migrations (%s); run npm run db:migrate first'],
+    [status.filter((m) => m.modified), 'migrations changed since they were applied (%s); restore the files or add a new migration'],
+    [status.filter((m) => m.missing), 'applied migrations missing from this checkout (%s); deploy the code that has them'],
+  ].filter(([found]) => found.length);
+  for (const [found, message] of problems) {
+    console.error(`Database has ${message}.`, found.map((m) => m.label).join(', '));
+  }
+  if (problems.length) process.exit(1);
+  app.listen(PORT, () => {
+    console.log(`API listening on http://localhost:${PORT}`);
+  });
+}
+
+start().catch((err) => {
+  console.error('Could not check database migrations:', err.message);
+  process.exit(1);
 });
@@ -0,0 +1,246 @@
+/**
+ * Admin API (/api/admin): the operations otherwise run as scripts against the production
+ * database — importing a disclosure file, import runs, the title/department fixer, deleting or
+ * (un)publishing a year, and record counts.
+ *
+ * Every route needs the ADMIN_TOKEN as "Authorization: Bearer <token>" or "X-API-Key: <token>";
+ * without ADMIN_TOKEN the admin API answers 404. index.js mounts it ahead of the CORS, origin and
+ * response-cache middleware, so browsers get no cross-origin access and nothing is cached.
+ */
+import crypto from 'crypto';
+import express from 'express';
+import util from 'util';
+import pool from '../db/pool.js';
+import { deleteYear } from '../db/delete-year.js';
+import { ensureFiscalYear, findFiscalYear, labelFromFileName, listFiscalYears, setYearPublished } from '../db/fiscal-years.js';
+import { findImportRun, listImportRuns } from '../db/import-runs.js';
+import { listQuarantine } from '../db/quarantine.js';
+import { recordCounts } from '../db/record-counts.js';
+import { applyTitleDepartmentFixes, findTitleDepartmentFixes } from '../db/title-department-fix.js';
+import { ADAPTERS, adapterForSource } from '../import/adapters/index.js';
+import { MODES, runImport } from '../import/pipeline.js';
+import { CAMPUS_IDS, SourceError } from '../import/record.js';
+import { HttpError, asyncHandler, badRequest, notFound, notFoundHandler } from '../http-errors.js';
+
+const ACTOR = 'admin-api';
+const MAX_LISTED = 500;
+
+function tokenMatches(given, token) {
+  // Compare digests so the comparison takes the same time whatever the lengths
+  const a = crypto.createHash('sha256').update(given).digest();
+  const b = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function requireToken(token) {
+  return (req, res, next) => {
+    const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)\s*$/i)?.[1];
+    const given = bearer ?? req.get('X-API-Key');
+    if (given && tokenMatches(given, token)) return next();
+    res.set('WWW-Authenticate', 'Bearer realm="admin"');
+    next(new HttpError(401, 'unauthorized', 'Admin token required'));
+  };
+}
+
+function flag(value) {
+  return value === true || value === '1' || value === 'true';
+}
+
+function parseYearKey(req) {
+  const yearKey = parseInt(req.params.yearKey, 10);
+  if (Number.isNaN(yearKey) || yearKey < 0) throw badRequest('yearKey must be a non-negative integer');
+  return yearKey;
+}
+
+/** A log function for the pipeline that keeps its lines for the response. */
+function collectLog() {
+  const lines = [];
+  return { lines, log: (fmt, ...args) => lines.push(util.format(fmt, ...args)) };
+}
+
+/**
+ * POST /api/admin/imports?filename=salary_record_2025.pdf — the request body is the file itself.
+ * Query: fiscalYear (default: from filename), adapter (default: from the file), mode (insert or
+ * reconcile), retire, campuses (comma-separated codes), dryRun; for csv files also columns and
+ * campus (see adapters/csv.js). Responds with the run summary and the import's log lines: 400
+ * when the file or options cannot be imported (SourceError), 500 when the server failed.
+ *
+ * The import runs inside the request, and a full-year PDF takes minutes. A client or proxy that
+ * gives up first (Azure Container Apps ingress: 240 s) does not stop it; the run and its outcome
+ * are in GET /import-runs.
+ */
+async function postImport(req, res) {
+  const filename = String(req.query.filename || '');
+  const mode = String(req.query.mode || 'insert');
+  const label = req.query.fiscalYear ? String(req.query.fiscalYear) : labelFromFileName(filename);
+  const campuses = req.query.campuses ? String(req.query.campuses).split(',').map((c) => c.trim()) : null;
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    throw badRequest('Send the file as the request body (e.g. curl --data-binary @file.pdf)');
+  }
+  if (!filename) throw badRequest('filename is required, e.g. ?filename=salary_record_2025.pdf');
+  if (!label) throw badRequest('Cannot tell the fiscal year from the filename; pass fiscalYear (e.g. 2025)');
+  if (!/^\d{4}$/.test(label)) throw badRequest('fiscalYear must be a four-digit year, e.g. 2025');
+  if (!MODES.includes(mode)) throw badRequest(`mode must be one of ${MODES.join(', ')}`);
+  if (req.query.adapter && !ADAPTERS[req.query.adapter]) {
+    throw badRequest(`adapter must be one of ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+  if (campuses?.some((c) => !(c in CAMPUS_IDS))) {
+    throw badRequest(`campuses must be codes from ${Object.keys(CAMPUS_IDS).join(', ')}`);
+  }
+
+  const source = { name: filename, buffer: req.body, columns: req.query.columns, campus: req.query.campus };
+  let adapter;
+  try {
+    adapter = req.query.adapter ? String(req.query.adapter) : await adapterForSource(source);
+  } catch (err) {
+    throw badRequest(err.message);
+  }
+  const dryRun = flag(req.query.dryRun);
+  const { lines, log } = collectLog();
+  const client = await pool.connect();
+  try {
+    const year = dryRun ? await findFiscalYear(client, { label }) : await ensureFiscalYear(client, label);
+    const result = await runImport(client, { adapter, source, year, mode, retire: flag(req.query.retire), campuses, dryRun, log });
+    res.json({ ...result, log: lines });
+  } catch (err) {
+    if (err instanceof SourceError) throw new HttpError(400, 'invalid_request', `Import failed: ${err.message}`, { log: lines });
+    throw new HttpError(500, 'import_failed', `Import failed: ${err.message}`, { log: lines });
+  } finally {
+    client.release();
+  }
+}
+
+/** GET /api/admin/import-runs?year=&limit= — recent runs, newest first. */
+async function getImportRuns(req, res) {
+  const yearKey = req.query.year != null ? parseInt(req.query.year, 10) : null;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_LISTED);
+  const client = await pool.connect();
+  try {
+    res.json(await listImportRuns(client, { yearKey: Number.isNaN(yearKey) ? null : yearKey, limit }));
+  } finally {
+    client.release();
+  }
+}
+
+/** GET /api/admin/import-runs/:id — one run with its quality report and quarantined rows. */
+async function getImportRun(req, res) {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) throw badRequest('id must be an integer');
+  const client = await pool.connect();
+  try {
+    const run = await findImportRun(client, id);
+    if (!run) throw notFound('Unknown import run');
+    res.json({ ...run, quarantine: await listQuarantine(client, id, { limit: MAX_LISTED }) });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * POST /api/admin/fixes/title-department — body { apply, reason }. Without apply: true it is a
+ * dry run listing the records that would change.
+ */
+async function postTitleDepartmentFix(req, res) {
+  const apply = flag(req.body?.apply);
+  const client = await pool.connect();
+  try {
+    const rows = await findTitleDepartmentFixes(client);
+    if (!apply || rows.length === 0) {
+      return res.json({
+        dryRun: !apply,
+        count: rows.length,
+        records: rows.slice(0, MAX_LISTED).map((r) => ({
+          id: r.id, yearKey: r.year_key, name: `${r.last_name}, ${r.first_name ?? ''}`, title: r.title, newTitle: r.department,
+        })),
+      });
+    }
+    const reason = req.body?.reason ? String(req.body.reason) : undefined;
+    const { updated, batchId } = await applyTitleDepartmentFixes(client, rows, { actor: ACTOR, reason });
+    res.json({ dryRun: false, count: rows.length, updated, batchId });
+  } finally {
+    client.release();
+  }
+}
+
+/** GET /api/admin/years — every registered year, published or not. */
+async function getAdminYears(_req, res) {
+  const client = await pool.connect();
+  try {
+    res.json(await listFiscalYears(client));
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * DELETE /api/admin/years/:yearKey?confirm=<label>&reason= — delete the year's records and
+ * unpublish it. confirm must be the year's label (e.g. 2025), as a guard against a wrong key.
+ */
+async function deleteAdminYear(req, res) {
+  const yearKey = parseYearKey(req);
+  const client = await pool.connect();
+  try {
+    const year = await findFiscalYear(client, { yearKey });
+    if (!year) throw notFound('Unknown year');
+    if (String(req.query.confirm) !== year.label) {
+      throw badRequest(`Pass ?confirm=${year.label} to delete every record of ${year.fiscal_year}`);
+    }
+    const reason = req.query.reason ? String(req.query.reason) : null;
+    const { deleted, batchId } = await deleteYear(client, yearKey, { actor: ACTOR, reason });
+    res.json({ yearKey, label: year.label, deleted, batchId });
+  } finally {
+    client.release();
+  }
+}
+
+/** POST /api/admin/years/:yearKey/publish and /unpublish — show or hide a year; its records stay. */
+function publishYear(published) {
+  return async (req, res) => {
+    const yearKey = parseYearKey(req);
+    const client = await pool.connect();
+    try {
+      const year = await setYearPublished(client, yearKey, published, { reason: `${ACTOR}: ${published ? 'publish' : 'unpublish'} year_key ${yearKey}` });
+      if (!year) throw notFound('Unknown year');
+      res.json(year);
+    } finally {
+      client.release();
+    }
+  };
+}
+
+/** GET /api/admin/counts — what npm run db:check prints. */
+async function getCounts(_req, res) {
+  const client = await pool.connect();
+  try {
+    res.json(await recordCounts(client));
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * The /api/admin router. token is ADMIN_TOKEN (unset: every route is 404); uploadLimit caps
+ * the size of an uploaded file.
+ */
+export function adminRoutes({ token, uploadLimit = '50mb' } = {}) {
+  const router = express.Router();
+  if (!token) {
+    router.use(notFoundHandler);
+    return router;
+  }
+  router.use(requireToken(token));
+  router.use(express.json());
+
+  router.post('/imports', express.raw({ type: () => true, limit: uploadLimit }), asyncHandler(postImport));
+  router.get('/import-runs', asyncHandler(getImportRuns));
+  router.get('/import-runs/:id', asyncHandler(getImportRun));
+  router.post('/fixes/title-department', asyncHandler(postTitleDepartmentFix));
+  router.get('/years', asyncHandler(getAdminYears));
+  router.delete('/years/:yearKey', asyncHandler(deleteAdminYear));
+  router.post('/years/:yearKey/publish', asyncHandler(publishYear(true)));
+  router.post('/years/:yearKey/unpublish', asyncHandler(publishYear(false)));
+  router.get('/counts', asyncHandler(getCounts));
+  // Unknown admin paths end here instead of falling through to the public middleware
+  router.use(notFoundHandler);
+  return router;
+}
@@ -1,15 +1,112 @@
 import pool from '../db/pool.js';
+import { histogramBucketSql, histogramFromRows } from '../db/analytics.js';
+import { PAID_SQL } from '../db/appointment.js';
+import { resolveYearKey } from '../db/fiscal-years.js';
+import { badRequest, notFound } from '../http-errors.js';
 
 export async function getDepartments(req, res) {
-  const yearKey = parseInt(req.query.year, 10);
-  const yk = isNaN(yearKey) ? 0 : yearKey;
-
+  const yk = await resolveYearKey(pool, req.query.year);
   const result = await pool.query(
-    `SELECT DISTINCT department FROM salary_records
-     WHERE year_key = $1 AND department IS NOT NULL AND department != ''
-     ORDER BY department`,
+    `SELECT DISTINCT s.department FROM salary_records s
+     JOIN fiscal_years f ON f.year_key = s.year_key
+     WHERE s.year_key = $1 AND f.published AND s.department IS NOT NULL AND s.department != ''
+     ORDER BY s.department`,
     [yk]
   );
   const departments = result.rows.map((r) => r.department);
   res.json({ yearKey: yk, departments });
 }
+
+// Titles listed per year in a department summary; the rest are folded into "Other"
+const TITLE_MIX_LIMIT = 10;
+
+/**
+ * GET /api/departments/:name/summary — one entry per published year the department appears in
+ * (newest first): headcount, payroll, FTR percentiles, GF share, title mix and salary histogram.
+ * headcount counts people (a person's appointments in the department once, as in analytics);
+ * appointments and the other figures are per record.
+ */
+export async function getDepartmentSummary(req, res) {
+  const name = (req.params.name || '').trim();
+  if (!name) {
+    throw badRequest('department name is required');
+  }
+
+  const client = await pool.connect();
+  try {
+    const [statsRes, titleRes, histogramRes] = await Promise.all([
+      client.query(
+        `SELECT f.year_key, f.label,
+                COUNT(DISTINCT COALESCE(s.person_id, s.id))::int AS headcount,
+                COUNT(*)::int AS appointments,
+                SUM(s.ftr)::numeric AS total_payroll,
+                SUM(s.gf)::numeric AS total_gf,
+                SUM(${PAID_SQL})::numeric AS total_paid,
+                AVG(s.ftr)::numeric AS mean_ftr,
+                PERCENTILE_CONT(ARRAY[0.1, 0.25, 0.5, 0.75, 0.9]) WITHIN GROUP (ORDER BY s.ftr) AS pcts
+         FROM salary_records s
+         JOIN fiscal_years f ON f.year_key = s.year_key
+         WHERE f.published AND s.department = $1
+         GROUP BY f.year_key, f.label, f.start_date
+         ORDER BY f.start_date DESC`,
+        [name]
+      ),
+      client.query(
+        `SELECT year_key, title, count, total_ftr FROM (
+           SELECT s.year_key, COALESCE(NULLIF(s.title, ''), 'Unknown') AS title,
+                  COUNT(*)::int AS count, SUM(s.ftr)::numeric AS total_ftr,
+                  ROW_NUMBER() OVER (PARTITION BY s.year_key ORDER BY COUNT(*) DESC, COALESCE(NULLIF(s.title, ''), 'Unknown')) AS rank
+           FROM salary_records s
+           JOIN fiscal_years f ON f.year_key = s.year_key
+           WHERE f.published AND s.department = $1
+           GROUP BY s.year_key, COALESCE(NULLIF(s.title, ''), 'Unknown')
+         ) t
+         WHERE rank <= ${TITLE_MIX_LIMIT}
+         ORDER BY year_key, rank`,
+        [name]
+      ),
+      client.query(
+        `SELECT s.year_key, ${histogramBucketSql()} AS bucket, COUNT(*)::int AS count
+         FROM salary_records s
+         JOIN fiscal_years f ON f.year_key = s.year_key
+         WHERE f.published AND s.department = $1
+         GROUP BY s.year_key, bucket`,
+        [name]
+      ),
+    ]);
+
+    if (statsRes.rows.length === 0) {
+      throw notFound('Unknown department');
+    }
+
+    const years = statsRes.rows.map((r) => {
+      const [p10, p25, median, p75, p90] = (r.pcts || []).map((v) => Math.round(Number(v)));
+      const totalPayroll = Number(r.total_payroll) || 0;
+      const titles = titleRes.rows
+        .filter((t) => t.year_key === r.year_key)
+        .map((t) => ({ title: t.title, count: t.count, totalFtr: Number(t.total_ftr) || 0 }));
+      const listed = titles.reduce((n, t) => n + t.count, 0);
+      return {
+        yearKey: r.year_key,
+        label: r.label,
+        headcount: r.headcount,
+        appointments: r.appointments,
+        totalPayroll,
+        meanFtr: Math.round(Number(r.mean_ftr) || 0),
+        medianFtr: median ?? 0,
+        p10: p10 ?? 0,
+        p25: p25 ?? 0,
+        p75: p75 ?? 0,
+        p90: p90 ?? 0,
+        gfSharePct: Number(r.total_paid) > 0 ? Math.round((Number(r.total_gf) / Number(r.total_paid)) * 1000) / 10 : 0,
+        titles,
+        otherTitlesCount: r.appointments - listed,
+        histogram: histogramFromRows(histogramRes.rows.filter((h) => h.year_key === r.year_key)),
+      };
+    });
+
+    res.json({ department: name, years });
+  } finally {
+    client.release();
+  }
+}
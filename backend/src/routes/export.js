@@ -0,0 +1,172 @@
+/**
+ * Streaming export of search results as CSV, XLSX or JSON.
+ *
+ * Rows are read through a server-side cursor in batches and written as they arrive, so a
+ * full year (~50k rows) is never held in memory. Writes wait for 'drain' when the client
+ * reads slowly, and the cursor is abandoned if the client disconnects.
+ */
+import ExcelJS from 'exceljs';
+import pool from '../db/pool.js';
+import { findFiscalYear } from '../db/fiscal-years.js';
+import { badRequest } from '../http-errors.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+const FETCH_SIZE = 2000;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8',
+};
+
+function csvCell(value) {
+  if (value == null) return '';
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function slugify(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+}
+
+/** Resolves once the response can take more data (at once, unless a write was refused). */
+function drained(res) {
+  if (!res.writableNeedDrain || res.destroyed) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Resolves once the zip has taken in the rows committed to an ExcelJS worksheet. ExcelJS writes
+ * the sheet into the zip without waiting, so when res is slow the rows queue up in front of the
+ * zip (the stream the sheet is piped into); that queue drains only as fast as res does.
+ * Nothing public exposes that stream, so this reads ExcelJS internals: exceljs is pinned to an
+ * exact version and test/export.test.js fails if an upgrade moves them.
+ */
+export async function sheetDrained(sheet, res) {
+  // The sheet's stream is piped into the zip once the entries before it are written
+  await new Promise((resolve) => setImmediate(resolve));
+  const [entry] = sheet.stream.pipes ?? [];
+  if (!entry?._writableState?.needDrain || res.destroyed) return;
+  await new Promise((resolve) => {
+    const done = () => {
+      entry.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    entry.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/** Write a chunk, waiting for the socket to drain when its buffer is full. */
+function write(res, chunk) {
+  res.write(chunk);
+  return drained(res);
+}
+
+/** Per-format writer: begin() once, rows(records) per batch, end() once. */
+function createWriter(format, res, columns) {
+  if (format === 'csv') {
+    return {
+      // BOM so Excel opens UTF-8 names correctly
+      begin: () => write(res, '\uFEFF' + columns.map((c) => csvCell(c.header)).join(',') + '\r\n'),
+      rows: (records) => write(res, records.map((r) => columns.map((c) => csvCell(r[c.key])).join(',') + '\r\n').join('')),
+      end: () => Promise.resolve(),
+    };
+  }
+  if (format === 'json') {
+    let first = true;
+    return {
+      begin: () => write(res, '['),
+      rows: (records) => {
+        const chunk = records.map((r, i) => (first && i === 0 ? '' : ',') + '\n' + JSON.stringify(r, columns.map((c) => c.key)));
+        first = false;
+        return write(res, chunk.join(''));
+      },
+      end: () => write(res, '\n]\n'),
+    };
+  }
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+  const sheet = workbook.addWorksheet('Salaries');
+  sheet.columns = columns.map((c) => ({ header: c.header, key: c.key, width: c.width || 14 }));
+  return {
+    begin: () => Promise.resolve(),
+    rows: async (records) => {
+      for (const r of records) sheet.addRow(r).commit();
+      await sheetDrained(sheet, res);
+      await drained(res);
+    },
+    end: async () => {
+      sheet.commit();
+      await workbook.commit();
+    },
+  };
+}
+
+/**
+ * Stream every row matching where/params (in orderBy order) to the response.
+ * columns is [{ key, header }] over the objects toRecord produces; name becomes part of the
+ * download file name, e.g. umich-salaries-2025-title-professor.csv.
+ */
+export async function streamExport(res, { format, where, params, score = '0', orderBy, yearKey, name, columns, toRecord }) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw badRequest(`format must be one of ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const client = await pool.connect();
+  let aborted = false;
+  const onClose = () => {
+    if (!res.writableFinished) aborted = true;
+  };
+  res.on('close', onClose);
+
+  try {
+    const year = await findFiscalYear(client, { yearKey });
+    const filename = ['umich-salaries', year ? year.label : `year-${yearKey}`, slugify(name)].filter(Boolean).join('-');
+
+    await client.query('BEGIN');
+    await client.query(
+      `DECLARE export_cursor NO SCROLL CURSOR FOR
+       SELECT *, ${score} AS match_score FROM salary_records
+       WHERE ${where}
+       ORDER BY ${orderBy}`,
+      params
+    );
+
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+    const writer = createWriter(format, res, columns);
+    await writer.begin();
+
+    while (!aborted) {
+      const { rows } = await client.query(`FETCH ${FETCH_SIZE} FROM export_cursor`);
+      if (rows.length === 0) break;
+      await writer.rows(rows.map(toRecord));
+    }
+
+    await client.query('COMMIT');
+    if (aborted) return;
+    await writer.end();
+    if (format !== 'xlsx') res.end();
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    // errorHandler answers 500, or cuts the download off when part of it went out already
+    throw err;
+  } finally {
+    res.off('close', onClose);
+    client.release();
+  }
+}
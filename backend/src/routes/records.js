@@ -1,4 +1,8 @@
 import pool from '../db/pool.js';
+import { streamExport } from './export.js';
+import { PAY_COLUMNS, parsePay } from '../db/appointment.js';
+import { resolveYearKey } from '../db/fiscal-years.js';
+import { badRequest, notFound } from '../http-errors.js';
 
 /** Normalize fiscal year to single year (e.g. "2025-2026" -> "2025"). */
 function normalizeFiscalYear(value) {
@@ -8,9 +12,21 @@ function normalizeFiscalYear(value) {
   return m ? m[1] : s;
 }
 
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const PAY_ERROR = `pay must be one of ${Object.keys(PAY_COLUMNS).join(', ')}`;
+
+// Minimum first-name word similarity for a name search hit when a first name is given
+const NAME_FIRST_MIN_SCORE = 0.4;
+
+function numberOrUndefined(value) {
+  return value != null ? Number(value) : undefined;
+}
+
 function rowToRecord(row) {
   return {
     id: row.id,
+    personId: row.person_id ?? undefined,
     firstName: row.first_name ?? '',
     lastName: row.last_name ?? '',
     title: row.title ?? '',
@@ -22,67 +38,152 @@ function rowToRecord(row) {
     ftr: Number(row.ftr),
     gf: Number(row.gf),
     periodFte: row.period_fte ?? undefined,
-    changeFromLastYearPct: row.change_from_last_year_pct != null ? Number(row.change_from_last_year_pct) : undefined,
+    basisMonths: row.basis_months ?? undefined,
+    fteFraction: numberOrUndefined(row.fte_fraction),
+    // FTR annualized to a 12-month basis (src/db/appointment.js)
+    fteFtr: numberOrUndefined(row.fte_ftr),
+    changeFromLastYearPct: numberOrUndefined(row.change_from_last_year_pct),
+    // Peer context (src/db/peer-ranks.js): percentile rank 0-100 and median FTR within the year
+    titlePctRank: numberOrUndefined(row.title_pct_rank),
+    titleMedianFtr: numberOrUndefined(row.title_median_ftr),
+    departmentPctRank: numberOrUndefined(row.department_pct_rank),
+    departmentMedianFtr: numberOrUndefined(row.department_median_ftr),
+    campusPctRank: numberOrUndefined(row.campus_pct_rank),
+    campusMedianFtr: numberOrUndefined(row.campus_median_ftr),
+    personMatchReview: row.person_match_review || undefined,
+    personMatchCandidate: row.person_match_candidate ?? undefined,
   };
 }
 
-export async function searchByName(req, res) {
-  const lastName = (req.query.lastName || '').trim();
-  const firstName = (req.query.firstName || '').trim();
-  const yearKey = parseInt(req.query.year, 10);
-  const campusId = req.query.campus != null ? parseInt(req.query.campus, 10) : 0;
+/** Export columns: one per rowToRecord field, in download order. */
+const EXPORT_COLUMNS = [
+  { key: 'lastName', header: 'Last name', width: 18 },
+  { key: 'firstName', header: 'First name', width: 18 },
+  { key: 'title', header: 'Title', width: 32 },
+  { key: 'department', header: 'Department', width: 32 },
+  { key: 'campus', header: 'Campus', width: 16 },
+  { key: 'campusId', header: 'Campus ID' },
+  { key: 'fiscalYear', header: 'Fiscal year' },
+  { key: 'yearKey', header: 'Year key' },
+  { key: 'ftr', header: 'FTR' },
+  { key: 'gf', header: 'GF' },
+  { key: 'periodFte', header: 'Period/FTE' },
+  { key: 'basisMonths', header: 'Basis (months)' },
+  { key: 'fteFraction', header: 'FTE' },
+  { key: 'fteFtr', header: 'FTR (12-month equivalent)' },
+  { key: 'changeFromLastYearPct', header: 'Change from last year (%)' },
+  { key: 'titlePctRank', header: 'Title percentile' },
+  { key: 'titleMedianFtr', header: 'Title median FTR' },
+  { key: 'departmentPctRank', header: 'Department percentile' },
+  { key: 'departmentMedianFtr', header: 'Department median FTR' },
+  { key: 'campusPctRank', header: 'Campus percentile' },
+  { key: 'campusMedianFtr', header: 'Campus median FTR' },
+  { key: 'id', header: 'Record ID', width: 38 },
+  { key: 'personId', header: 'Person ID', width: 38 },
+  { key: 'personMatchReview', header: 'Person match needs review' },
+  { key: 'personMatchCandidate', header: 'Possibly the same person as (person ID)', width: 38 },
+];
 
-  if (!lastName) {
-    return res.status(400).json({ error: 'lastName is required' });
+/**
+ * Turn a name query into candidate { last, first } orderings (lowercased).
+ * "Curzan, Anne" is explicit; "anne curzan" could be either way round, so both are tried.
+ */
+export function parseNameQuery(q) {
+  const clean = (v) => (v || '').toLowerCase().replace(/[^a-z0-9,'\- ]/g, ' ').replace(/\s+/g, ' ').trim();
+  const text = clean(q);
+  if (!text) return [];
+  if (text.includes(',')) {
+    const [last, ...rest] = text.split(',');
+    return [{ last: last.trim(), first: clean(rest.join(' ')) }].filter((o) => o.last);
   }
+  const words = text.split(' ');
+  if (words.length === 1) return [{ last: words[0], first: '' }];
+  return [
+    { last: words[words.length - 1], first: words.slice(0, -1).join(' ') },
+    { last: words[0], first: words.slice(1).join(' ') },
+  ];
+}
 
-  const yk = isNaN(yearKey) ? 0 : yearKey;
-  const client = await pool.connect();
-  try {
-    let query = `
-      SELECT * FROM salary_records
-      WHERE LOWER(last_name) LIKE LOWER($1)
-      AND ($2::text = '' OR LOWER(first_name) LIKE LOWER($2))
-      AND year_key = $3
-    `;
-    const params = [`%${lastName}%`, firstName ? `%${firstName}%` : '', yk];
-
-    if (campusId !== 0 && !isNaN(campusId)) {
-      query += ` AND (campus_id = $4 OR campus_id IS NULL)`;
-      params.push(campusId);
-    }
+/**
+ * SQL for one name ordering: a match condition (trigram or substring on last name, plus a loose
+ * first-name check when given) and a 0-1 relevance score weighted 60/40 last/first.
+ */
+function nameMatchSql(ordering, params) {
+  params.push(ordering.last);
+  const last = `$${params.length}`;
+  const lastScore = `GREATEST(similarity(LOWER(last_name), ${last}),
+    CASE WHEN LOWER(last_name) LIKE ${last} || '%' THEN 0.8 WHEN LOWER(last_name) LIKE '%' || ${last} || '%' THEN 0.5 ELSE 0 END)`;
+  const lastMatch = `(LOWER(last_name) % ${last} OR LOWER(last_name) LIKE '%' || ${last} || '%')`;
+  if (!ordering.first) return { match: lastMatch, score: lastScore };
 
-    query += ` ORDER BY last_name, first_name LIMIT 30`;
+  params.push(ordering.first);
+  const first = `$${params.length}`;
+  const firstScore = `GREATEST(word_similarity(${first}, LOWER(first_name)), CASE WHEN LOWER(first_name) LIKE ${first} || '%' THEN 1 ELSE 0 END)`;
+  return {
+    match: `(${lastMatch} AND ${firstScore} >= ${NAME_FIRST_MIN_SCORE})`,
+    score: `(0.6 * ${lastScore} + 0.4 * ${firstScore})`,
+  };
+}
 
-    const result = await client.query(query, params);
-    const items = result.rows.map(rowToRecord);
-    res.json({ items, totalCount: items.length });
-  } finally {
-    client.release();
-  }
+function parsePaging(query) {
+  return {
+    page: Math.max(1, parseInt(query.page, 10) || 1),
+    pageSize: Math.min(100, Math.max(1, parseInt(query.pageSize, 10) || 30)),
+  };
 }
 
-export async function searchByTitle(req, res) {
-  const title = (req.query.title || '').trim();
-  const yearKey = parseInt(req.query.year, 10);
-  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
-  const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize, 10) || 30));
+function parseAmount(value) {
+  if (value == null || value === '') return null;
+  const n = parseFloat(String(value).replace(/[$,]/g, ''));
+  return Number.isFinite(n) ? n : null;
+}
 
-  if (!title) {
-    return res.status(400).json({ error: 'title is required' });
+/**
+ * WHERE clause for any combination of search filters. Text filters are case-insensitive
+ * substring matches except q, which is the fuzzy name match; score is its relevance (or 0).
+ * ftr is the pay column the salary range, aggregates and sort use (PAY_COLUMNS).
+ * Returns { where, params, score, ftr }.
+ */
+function buildSearchFilter({ yearKey, q, title, department, campusId, ftrMin, ftrMax, gfMin, gfMax, ftr = 'ftr' }) {
+  const params = [yearKey];
+  // Records of an unpublished year are hidden like the year itself
+  const clauses = ['year_key = $1', 'year_key IN (SELECT year_key FROM fiscal_years WHERE published)'];
+  const add = (sql, value) => {
+    params.push(value);
+    clauses.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (campusId) add('(campus_id = ? OR campus_id IS NULL)', campusId);
+  if (title) add('LOWER(title) LIKE LOWER(?)', `%${title}%`);
+  if (department) add('LOWER(department) LIKE LOWER(?)', `%${department}%`);
+  if (ftrMin != null) add(`${ftr} >= ?`, ftrMin);
+  if (ftrMax != null) add(`${ftr} <= ?`, ftrMax);
+  if (gfMin != null) add('gf >= ?', gfMin);
+  if (gfMax != null) add('gf <= ?', gfMax);
+
+  let score = '0';
+  const orderings = parseNameQuery(q);
+  if (orderings.length > 0) {
+    const parts = orderings.map((o) => nameMatchSql(o, params));
+    clauses.push(`(${parts.map((p) => p.match).join(' OR ')})`);
+    score = parts.length > 1 ? `GREATEST(${parts.map((p) => p.score).join(', ')})` : parts[0].score;
   }
 
-  const yk = isNaN(yearKey) ? 0 : yearKey;
+  return { where: clauses.join(' AND '), params, score, ftr };
+}
+
+/** Run a filtered search and send the paginated envelope with FTR aggregates. */
+async function sendPaginated(res, { where, params, score = '0', ftr = 'ftr', orderBy, page, pageSize }) {
   const client = await pool.connect();
   try {
     const countResult = await client.query(
       `SELECT COUNT(*) AS cnt,
-              MIN(ftr) AS min_salary,
-              MAX(ftr) AS max_salary,
-              AVG(ftr)::NUMERIC(14,2) AS avg_salary
+              MIN(${ftr}) AS min_salary,
+              MAX(${ftr}) AS max_salary,
+              AVG(${ftr})::NUMERIC(14,2) AS avg_salary
        FROM salary_records
-       WHERE year_key = $1 AND LOWER(title) LIKE LOWER($2)`,
-      [yk, `%${title}%`]
+       WHERE ${where}`,
+      params
     );
     const countRow = countResult.rows[0];
     const totalCount = parseInt(countRow.cnt, 10);
@@ -90,11 +191,11 @@ export async function searchByTitle(req, res) {
     const offset = (page - 1) * pageSize;
 
     const listResult = await client.query(
-      `SELECT * FROM salary_records
-       WHERE year_key = $1 AND LOWER(title) LIKE LOWER($2)
-       ORDER BY ftr DESC
-       LIMIT $3 OFFSET $4`,
-      [yk, `%${title}%`, pageSize, offset]
+      `SELECT *, ${score} AS match_score FROM salary_records
+       WHERE ${where}
+       ORDER BY ${orderBy}
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, pageSize, offset]
     );
 
     const items = listResult.rows.map(rowToRecord);
@@ -116,91 +217,175 @@ export async function searchByTitle(req, res) {
   }
 }
 
+/**
+ * Send a search as one page of results, or with ?format=csv|xlsx|json as a download of
+ * every matching row (page and pageSize are ignored).
+ */
+async function sendSearch(req, res, { filter, orderBy, yearKey, exportName }) {
+  if (req.query.format) {
+    return streamExport(res, {
+      ...filter,
+      format: String(req.query.format).toLowerCase(),
+      orderBy,
+      yearKey,
+      name: exportName,
+      columns: EXPORT_COLUMNS,
+      toRecord: rowToRecord,
+    });
+  }
+  await sendPaginated(res, { ...filter, orderBy, ...parsePaging(req.query) });
+}
+
+export async function searchByName(req, res) {
+  const lastName = (req.query.lastName || '').trim();
+  const firstName = (req.query.firstName || '').trim();
+  const q = (req.query.q || '').trim() || (lastName ? `${lastName}, ${firstName}` : '');
+  const campusId = req.query.campus != null ? parseInt(req.query.campus, 10) : 0;
+
+  if (parseNameQuery(q).length === 0) {
+    throw badRequest('q (or lastName) is required');
+  }
+
+  const year = await resolveYearKey(pool, req.query.year);
+  const filter = buildSearchFilter({ yearKey: year, q, campusId: isNaN(campusId) ? 0 : campusId });
+  await sendSearch(req, res, {
+    filter,
+    orderBy: 'match_score DESC, last_name, first_name, id',
+    yearKey: year,
+    exportName: `name-${q}`,
+  });
+}
+
+export async function searchByTitle(req, res) {
+  const title = (req.query.title || '').trim();
+
+  if (!title) {
+    throw badRequest('title is required');
+  }
+  const pay = parsePay(req.query.pay);
+  if (!pay) {
+    throw badRequest(PAY_ERROR);
+  }
+
+  const year = await resolveYearKey(pool, req.query.year);
+  const filter = buildSearchFilter({ yearKey: year, title, ftr: PAY_COLUMNS[pay] });
+  await sendSearch(req, res, { filter, orderBy: `${filter.ftr} DESC, id`, yearKey: year, exportName: `title-${title}` });
+}
+
 export async function searchByDepartment(req, res) {
   const department = (req.query.department || '').trim();
-  const yearKey = parseInt(req.query.year, 10);
-  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
-  const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize, 10) || 30));
 
   if (!department) {
-    return res.status(400).json({ error: 'department is required' });
+    throw badRequest('department is required');
+  }
+  const pay = parsePay(req.query.pay);
+  if (!pay) {
+    throw badRequest(PAY_ERROR);
   }
 
-  const yk = isNaN(yearKey) ? 0 : yearKey;
-  const client = await pool.connect();
-  try {
-    const countResult = await client.query(
-      `SELECT COUNT(*) AS cnt,
-              MIN(ftr) AS min_salary,
-              MAX(ftr) AS max_salary,
-              AVG(ftr)::NUMERIC(14,2) AS avg_salary
-       FROM salary_records
-       WHERE year_key = $1 AND LOWER(department) LIKE LOWER($2)`,
-      [yk, `%${department}%`]
-    );
-    const countRow = countResult.rows[0];
-    const totalCount = parseInt(countRow.cnt, 10);
-    const totalPages = Math.ceil(totalCount / pageSize) || 1;
-    const offset = (page - 1) * pageSize;
+  const year = await resolveYearKey(pool, req.query.year);
+  const filter = buildSearchFilter({ yearKey: year, department, ftr: PAY_COLUMNS[pay] });
+  await sendSearch(req, res, { filter, orderBy: `${filter.ftr} DESC, id`, yearKey: year, exportName: `department-${department}` });
+}
 
-    const listResult = await client.query(
-      `SELECT * FROM salary_records
-       WHERE year_key = $1 AND LOWER(department) LIKE LOWER($2)
-       ORDER BY ftr DESC
-       LIMIT $3 OFFSET $4`,
-      [yk, `%${department}%`, pageSize, offset]
-    );
+// sort -> ORDER BY for a direction and the pay column
+const SORT_FIELDS = {
+  relevance: (dir) => `match_score ${dir}, last_name, first_name`,
+  name: (dir) => `last_name ${dir}, first_name ${dir}`,
+  title: (dir) => `title ${dir}`,
+  department: (dir) => `department ${dir}`,
+  ftr: (dir, ftr) => `${ftr} ${dir}`,
+  gf: (dir) => `gf ${dir}`,
+};
 
-    const items = listResult.rows.map(rowToRecord);
-    res.json({
-      items,
-      totalCount,
-      page,
-      pageSize,
-      totalPages,
-      aggregates: {
-        count: totalCount,
-        minSalary: countRow.min_salary != null ? Number(countRow.min_salary) : 0,
-        maxSalary: countRow.max_salary != null ? Number(countRow.max_salary) : 0,
-        avgSalary: countRow.avg_salary != null ? Number(countRow.avg_salary) : 0,
-      },
-    });
-  } finally {
-    client.release();
+/**
+ * Combined search: any of q (name), title, department, campus, ftrMin/ftrMax, gfMin/gfMax,
+ * with sort (relevance|name|title|department|ftr|gf) and dir (asc|desc).
+ * Defaults to relevance when q is given, otherwise FTR high to low. pay=fte sorts, filters and
+ * aggregates on the full-time-equivalent annual rate instead of FTR as disclosed.
+ */
+export async function searchRecords(req, res) {
+  const campusId = req.query.campus != null ? parseInt(req.query.campus, 10) : 0;
+  const q = (req.query.q || '').trim();
+  const sort = (req.query.sort || (q ? 'relevance' : 'ftr')).toLowerCase();
+  const dir = (req.query.dir || (sort === 'ftr' || sort === 'gf' || sort === 'relevance' ? 'desc' : 'asc')).toLowerCase();
+
+  if (!SORT_FIELDS[sort]) {
+    throw badRequest(`sort must be one of ${Object.keys(SORT_FIELDS).join(', ')}`);
+  }
+  if (dir !== 'asc' && dir !== 'desc') {
+    throw badRequest('dir must be asc or desc');
   }
+  const pay = parsePay(req.query.pay);
+  if (!pay) {
+    throw badRequest(PAY_ERROR);
+  }
+
+  const year = await resolveYearKey(pool, req.query.year);
+  const filter = buildSearchFilter({
+    yearKey: year,
+    q,
+    title: (req.query.title || '').trim(),
+    department: (req.query.department || '').trim(),
+    campusId: isNaN(campusId) ? 0 : campusId,
+    ftrMin: parseAmount(req.query.ftrMin),
+    ftrMax: parseAmount(req.query.ftrMax),
+    gfMin: parseAmount(req.query.gfMin),
+    gfMax: parseAmount(req.query.gfMax),
+    ftr: PAY_COLUMNS[pay],
+  });
+  await sendSearch(req, res, {
+    filter,
+    orderBy: `${SORT_FIELDS[sort](dir.toUpperCase(), filter.ftr)} NULLS LAST, id`,
+    yearKey: year,
+    exportName: 'search',
+  });
 }
 
 export async function getPerson(req, res) {
-  const lastName = (req.query.lastName || '').trim();
-  const firstName = (req.query.firstName || '').trim();
+  const id = (req.params.id || '').trim();
 
-  if (!lastName) {
-    return res.status(400).json({ error: 'lastName is required' });
+  if (!UUID_RE.test(id)) {
+    throw badRequest('id must be a person id');
   }
 
   const client = await pool.connect();
   try {
-    let query = `
-      SELECT * FROM salary_records
-      WHERE LOWER(last_name) = LOWER($1)
-    `;
-    const params = [lastName];
-    if (firstName) {
-      query += ` AND LOWER(first_name) = LOWER($2)`;
-      params.push(firstName);
+    const personResult = await client.query('SELECT * FROM people WHERE id = $1', [id]);
+    const person = personResult.rows[0];
+    if (!person) {
+      throw notFound('Person not found');
     }
-    query += ` ORDER BY year_key ASC`;  // 0 = latest, so newest first
-
-    const result = await client.query(query, params);
+    const result = await client.query(
+      `SELECT s.* FROM salary_records s
+       JOIN fiscal_years f ON f.year_key = s.year_key
+       WHERE s.person_id = $1 AND f.published
+       ORDER BY f.start_date DESC, s.ftr DESC`,
+      [id]
+    );
+    const yearsResult = await client.query(
+      `SELECT y.*, f.fiscal_year FROM person_years y
+       JOIN fiscal_years f ON f.year_key = y.year_key
+       WHERE y.person_id = $1 AND f.published
+       ORDER BY f.start_date DESC`,
+      [id]
+    );
     const salaryHistory = result.rows.map(rowToRecord);
-    if (salaryHistory.length === 0) {
-      return res.status(404).json({ error: 'Person not found' });
-    }
-    const first = result.rows[0];
     res.json({
-      firstName: first.first_name ?? '',
-      lastName: first.last_name ?? '',
+      id: person.id,
+      firstName: person.first_name ?? '',
+      lastName: person.last_name ?? '',
+      needsReview: salaryHistory.some((r) => r.personMatchReview),
       salaryHistory,
+      years: yearsResult.rows.map((r) => ({
+        yearKey: r.year_key,
+        fiscalYear: r.fiscal_year,
+        appointmentCount: r.appointment_count,
+        totalFtr: Number(r.total_ftr),
+        totalFteFtr: Number(r.total_fte_ftr),
+        totalGf: Number(r.total_gf),
+        primaryRecordId: r.primary_record_id,
+      })),
     });
   } finally {
     client.release();
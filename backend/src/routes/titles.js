@@ -1,15 +1,114 @@
 import pool from '../db/pool.js';
+import { PAY_COLUMNS, parsePay } from '../db/appointment.js';
+import { resolveYearKey } from '../db/fiscal-years.js';
+import { badRequest, notFound } from '../http-errors.js';
 
 export async function getTitles(req, res) {
-  const yearKey = parseInt(req.query.year, 10);
-  const yk = isNaN(yearKey) ? 0 : yearKey;
-
+  const yk = await resolveYearKey(pool, req.query.year);
   const result = await pool.query(
-    `SELECT DISTINCT title FROM salary_records
-     WHERE year_key = $1 AND title IS NOT NULL AND title != ''
-     ORDER BY title`,
+    `SELECT DISTINCT s.title FROM salary_records s
+     JOIN fiscal_years f ON f.year_key = s.year_key
+     WHERE s.year_key = $1 AND f.published AND s.title IS NOT NULL AND s.title != ''
+     ORDER BY s.title`,
     [yk]
   );
   const titles = result.rows.map((r) => r.title);
   res.json({ yearKey: yk, titles });
 }
+
+// Department breakdowns list at most this many departments, largest first
+const MAX_BENCHMARK_GROUPS = 50;
+
+function benchmarkStatsSql(ftr = 'ftr') {
+  return `COUNT(*)::int AS count,
+    PERCENTILE_CONT(ARRAY[0.1, 0.25, 0.5, 0.75, 0.9]) WITHIN GROUP (ORDER BY ${ftr}) AS pcts,
+    AVG(${ftr})::numeric AS mean,
+    MIN(${ftr})::numeric AS min,
+    MAX(${ftr})::numeric AS max`;
+}
+
+function benchmarkStats(r) {
+  const [p10, p25, median, p75, p90] = (r.pcts || []).map((v) => Math.round(Number(v)));
+  return {
+    count: r.count,
+    min: Number(r.min) || 0,
+    p10: p10 ?? 0,
+    p25: p25 ?? 0,
+    median: median ?? 0,
+    p75: p75 ?? 0,
+    p90: p90 ?? 0,
+    max: Number(r.max) || 0,
+    mean: Math.round(Number(r.mean) || 0),
+  };
+}
+
+/**
+ * GET /api/titles/:title/benchmark?year= — FTR distribution for one title (exact, case-insensitive):
+ * overall and by department and campus for the year, plus the overall distribution in every
+ * published year (newest first). overall is null when the title has no records in that year.
+ * ?pay=fte uses the full-time-equivalent annual rate instead of FTR as disclosed.
+ */
+export async function getTitleBenchmark(req, res) {
+  const title = (req.params.title || '').trim();
+  if (!title) {
+    throw badRequest('title is required');
+  }
+  const pay = parsePay(req.query.pay);
+  if (!pay) {
+    throw badRequest(`pay must be one of ${Object.keys(PAY_COLUMNS).join(', ')}`);
+  }
+  const ftr = PAY_COLUMNS[pay];
+
+  const stats = benchmarkStatsSql(ftr);
+  const client = await pool.connect();
+  try {
+    const yk = await resolveYearKey(client, req.query.year);
+    const where = 'year_key = $1 AND year_key IN (SELECT year_key FROM fiscal_years WHERE published) AND LOWER(title) = LOWER($2)';
+    const [overallRes, deptRes, campusRes, trendRes] = await Promise.all([
+      client.query(`SELECT ${stats} FROM salary_records WHERE ${where} HAVING COUNT(*) > 0`, [yk, title]),
+      client.query(
+        `SELECT department AS name, ${stats}
+         FROM salary_records
+         WHERE ${where} AND department IS NOT NULL AND department != ''
+         GROUP BY department
+         ORDER BY count DESC, name
+         LIMIT ${MAX_BENCHMARK_GROUPS}`,
+        [yk, title]
+      ),
+      client.query(
+        `SELECT COALESCE(campus, 'Unknown') AS name, ${stats}
+         FROM salary_records
+         WHERE ${where}
+         GROUP BY COALESCE(campus, 'Unknown')
+         ORDER BY count DESC, name`,
+        [yk, title]
+      ),
+      client.query(
+        `SELECT f.year_key, f.label, ${benchmarkStatsSql(`s.${ftr}`)}
+         FROM salary_records s
+         JOIN fiscal_years f ON f.year_key = s.year_key
+         WHERE f.published AND LOWER(s.title) = LOWER($1)
+         GROUP BY f.year_key, f.label, f.start_date
+         ORDER BY f.start_date DESC`,
+        [title]
+      ),
+    ]);
+
+    if (overallRes.rows.length === 0 && trendRes.rows.length === 0) {
+      throw notFound('Unknown title');
+    }
+
+    const named = (rows) => rows.map((r) => ({ name: r.name, ...benchmarkStats(r) }));
+    res.json({
+      title,
+      yearKey: yk,
+      pay,
+      overall: overallRes.rows.length ? benchmarkStats(overallRes.rows[0]) : null,
+      byDepartment: named(deptRes.rows),
+      byCampus: named(campusRes.rows),
+      trend: trendRes.rows.map((r) => ({ yearKey: r.year_key, label: r.label, ...benchmarkStats(r) })),
+    });
+  } finally {
+    client.release();
+  }
+}
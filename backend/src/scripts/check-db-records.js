@@ -1,41 +1,87 @@
 /**
  * Report record counts in the database. Use to verify Azure (or local) DB has expected data.
  * Run from backend: DATABASE_URL='...' node src/scripts/check-db-records.js
+ *
+ * Options:
+ *   --top=N            Also list the N top earners (or TOP_EARNERS=N).
+ *   --quality[=KEY]    Print the quality report of each year's latest import (or of year_key KEY).
+ *   --json             With --quality, print only the reports, as JSON.
  */
 import 'dotenv/config';
 import pg from 'pg';
+import { latestQualityReport, listQuarantine } from '../db/quarantine.js';
+import { recordCounts } from '../db/record-counts.js';
+import { logQualityReport } from '../import/validate.js';
 
 const pool = new pg.Pool({ connectionString: process.env.DATABASE_URL });
 
+/** Each year's latest quality report (or one year's), from import_runs.quality. */
+async function qualityReports(client, yearKey) {
+  const { rows: years } = await client.query(
+    `SELECT f.year_key, f.fiscal_year
+     FROM fiscal_years f
+     WHERE EXISTS (SELECT 1 FROM import_runs r WHERE r.year_key = f.year_key)
+       AND ($1::int IS NULL OR f.year_key = $1)
+     ORDER BY f.start_date DESC`,
+    [yearKey]
+  );
+  const reports = [];
+  for (const y of years) reports.push({ yearKey: y.year_key, fiscalYear: y.fiscal_year, run: await latestQualityReport(client, y.year_key) });
+  return reports;
+}
+
+async function printQuality(client, yearKey) {
+  const reports = await qualityReports(client, yearKey);
+  if (reports.length === 0) console.log('\nNo imports recorded%s.', yearKey != null ? ` for year_key=${yearKey}` : '');
+  for (const { yearKey: key, fiscalYear, run } of reports) {
+    console.log('\nQuality report for %s (year_key=%d):', fiscalYear, key);
+    if (!run) {
+      console.log('  None: the year was last imported before validation was added.');
+      continue;
+    }
+    console.log('  Import run %d (%s, %s) %s', run.run_id, run.adapter, run.source, run.status);
+    logQualityReport(run.quality, { log: (fmt, ...args) => console.log(`  ${fmt}`, ...args) });
+    const held = (await listQuarantine(client, run.run_id, { limit: 10 })).filter((q) => q.held);
+    if (held.length) {
+      console.log('  Held rows (salary_record_quarantine, import_run_id=%d):', run.run_id);
+      held.forEach((q) => console.log('    #%s %s, %s | %s | %s — %s', q.id, q.record.last_name, q.record.first_name, q.record.title, q.record.department, q.reasons.join(', ')));
+    }
+  }
+}
+
 async function main() {
+  const qualityArg = process.argv.find((a) => a === '--quality' || a.startsWith('--quality='));
+  const qualityKey = qualityArg?.includes('=') ? parseInt(qualityArg.split('=')[1], 10) : null;
   const client = await pool.connect();
   try {
-    const total = await client.query(
-      'SELECT COUNT(*)::int AS n FROM salary_records'
-    );
-    console.log('Total records:', total.rows[0].n);
-
-    const byYear = await client.query(`
-      SELECT year_key, fiscal_year, COUNT(*)::int AS n
-      FROM salary_records
-      GROUP BY year_key, fiscal_year
-      ORDER BY year_key ASC
-    `);
-    if (byYear.rows.length === 0) {
+    if (qualityArg && process.argv.includes('--json')) {
+      const reports = await qualityReports(client, qualityKey);
+      console.log(JSON.stringify(reports.map(({ yearKey, fiscalYear, run }) => ({
+        yearKey, fiscalYear, runId: run?.run_id ?? null, source: run?.source ?? null, quality: run?.quality ?? null,
+      })), null, 2));
+      return;
+    }
+
+    const counts = await recordCounts(client);
+    console.log('Total records:', counts.total);
+    if (counts.byYear.length === 0) {
       console.log('No data by year (table may be empty or schema not initialized).');
       return;
     }
     console.log('\nBy year:');
-    for (const r of byYear.rows) {
-      console.log(`  year_key=${r.year_key} fiscal_year=${r.fiscal_year || '(null)'}  count=${r.n}`);
+    for (const r of counts.byYear) {
+      console.log(`  year_key=${r.yearKey} fiscal_year=${r.fiscalYear || '(null)'}${r.published ? '' : ' (unpublished)'}  count=${r.records}`);
     }
 
-    // Quick sanity: year_key 0 is usually latest (2025); we expect ~53k from PDF import
-    const y0 = byYear.rows.find((r) => r.year_key === 0);
-    if (y0 && y0.n > 0) {
-      console.log('\nLatest year (year_key=0) has', y0.n, 'records.');
+    // Quick sanity: we expect ~53k for the latest year from PDF import
+    const latest = counts.byYear[0];
+    if (latest && latest.records > 0) {
+      console.log('\nLatest year (%s, year_key=%d) has %d records.', latest.fiscalYear, latest.yearKey, latest.records);
     }
 
+    const v = counts.datasetVersion;
+    if (v) console.log('Dataset version %s (%s, %s)', v.version, v.reason || 'initial', v.updatedAt.toISOString());
+
     const topN = parseInt(process.argv.find((a) => a.startsWith('--top='))?.split('=')[1] || process.env.TOP_EARNERS || '0', 10);
     if (topN > 0) {
       const top = await client.query(
@@ -50,6 +96,8 @@ async function main() {
         console.log('  %d. %s %s — %s | %s | $%s', i + 1, r.first_name || '', r.last_name, r.title || '', r.department || '', Number(r.ftr).toLocaleString());
       });
     }
+
+    if (qualityArg) await printQuality(client, qualityKey);
   } finally {
     client.release();
     await pool.end();
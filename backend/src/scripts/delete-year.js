@@ -1,16 +1,13 @@
 /**
- * Delete all salary records for a given year.
- * Usage: node src/scripts/delete-year.js [yearKey]
- *   yearKey: 4 = 2021, 3 = 2022, etc.
+ * Delete all salary records for a given year and unpublish it in the fiscal year registry.
+ * The deleted rows are kept in salary_record_changes; npm run changes:undo restores them.
+ * Usage: node src/scripts/delete-year.js [yearKey] [--reason "..."]
+ *   yearKey: see fiscal_years (4 = 2021, 3 = 2022, etc.)
  */
 
 import 'dotenv/config';
 import pool from '../db/pool.js';
-
-const YEAR_LABELS = [
-  '2025', '2024', '2023', '2022', '2021', '2020', '2019', '2018', '2017',
-  '2016', '2015', '2014', '2013', '2012', '2011',
-];
+import { deleteYear } from '../db/delete-year.js';
 
 const yearKey = parseInt(process.argv[2], 10);
 if (Number.isNaN(yearKey) || yearKey < 0) {
@@ -19,12 +16,14 @@ if (Number.isNaN(yearKey) || yearKey < 0) {
   process.exitCode = 1;
   process.exit(1);
 }
+const reasonArg = process.argv.indexOf('--reason');
+const reason = (reasonArg !== -1 ? process.argv[reasonArg + 1] : process.env.REASON) || null;
 
-const label = YEAR_LABELS[yearKey] ?? `year_key ${yearKey}`;
 const client = await pool.connect();
 try {
-  const r = await client.query('DELETE FROM salary_records WHERE year_key = $1', [yearKey]);
-  console.log(`Deleted ${r.rowCount} rows for ${label} (year_key=${yearKey})`);
+  const { label, deleted, batchId } = await deleteYear(client, yearKey, { reason });
+  console.log(`Deleted ${deleted} rows for ${label} (year_key=${yearKey}); change batch ${batchId}`);
+  if (deleted > 0) console.log(`To restore them: npm run changes:undo -- ${batchId}`);
 } finally {
   client.release();
   await pool.end();
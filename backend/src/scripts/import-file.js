@@ -0,0 +1,108 @@
+/**
+ * Import a local file or URL with any file adapter (src/import/adapters): the pipeline the
+ * PDF and umsalary.info importers use, for sources without their own script.
+ *
+ * Usage:
+ *   FILE=./salaries.csv FISCAL_YEAR=2022 npm run import:file
+ *   node src/scripts/import-file.js --file ./disclosure.pdf --adapter pdf-compact --dry-run
+ *   npm run import:csv -- --file ./extract.tsv --columns "name=Employee;ftr=Annual Rate" --dry-run
+ *
+ * Options (env or CLI):
+ *   FILE=path       Local file to import (or URL=...).
+ *   ADAPTER=csv     pdf-layout, pdf-line, pdf-compact or csv. Default: from the file extension (.pdf is
+ *                   detected from its header row; .csv, .tsv and .txt are csv).
+ *   FISCAL_YEAR=2025  Fiscal year label. Default: the year in the file name.
+ *   YEAR=0          Existing year key instead of FISCAL_YEAR.
+ *   LIMIT=0         Max records to import (0 = all).
+ *   CLEAR=1         Delete all existing salary_records first.
+ *   MODE=reconcile  Insert new rows and update changed amounts in one transaction (also --reconcile).
+ *   RETIRE=1        With MODE=reconcile, also delete stored rows the file no longer has (also --retire).
+ *   --dry-run       Parse and log only; do not insert. With MODE=reconcile, print the diff.
+ *
+ * csv options (npm run import:csv is import:file with ADAPTER=csv):
+ *   COLUMNS="field=Header;..."  Header of each field whose header is not a default one (fields:
+ *                   name, last_name, first_name, title, department, campus, ftr, basis, fraction, gf),
+ *                   or a .json file of { "field": "Header" }. See src/import/adapters/csv.js.
+ *   DELIMITER=tab   Field delimiter (a character, or "tab"). Default: tab if the header has one, else comma.
+ *   CAMPUS=UM_FLINT Campus of every row when the file has no campus column. Default UM_ANN-ARBOR.
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import pool from '../db/pool.js';
+import { ensureFiscalYear, findFiscalYear, labelFromFileName } from '../db/fiscal-years.js';
+import { adapterForSource } from '../import/adapters/index.js';
+import { loadSource, runImport } from '../import/pipeline.js';
+
+function getOpt(name, def) {
+  const env = process.env[name];
+  if (env !== undefined && env !== '') return isNaN(Number(env)) ? env : Number(env);
+  const i = process.argv.indexOf(`--${name.toLowerCase().replace(/_/g, '-')}`);
+  if (i !== -1 && process.argv[i + 1] !== undefined) return process.argv[i + 1];
+  return def;
+}
+
+/** COLUMNS as given, or the mapping in a .json file. */
+function columnMapping(spec) {
+  if (!spec || !/\.json$/i.test(spec)) return spec || null;
+  return JSON.parse(fs.readFileSync(spec, 'utf8'));
+}
+
+async function main() {
+  const filePath = getOpt('FILE', undefined);
+  const url = getOpt('URL', undefined);
+  const yearKeyOpt = getOpt('YEAR', undefined);
+  const fiscalYearLabel = getOpt('FISCAL_YEAR', undefined) ?? labelFromFileName(filePath || url);
+  const limit = Number(getOpt('LIMIT', 0)) || 0;
+  const clearFirst = process.env.CLEAR === '1' || process.env.CLEAR === 'true' || process.argv.includes('--clear');
+  const dryRun = process.argv.includes('--dry-run');
+  const mode = process.argv.includes('--reconcile') ? 'reconcile' : getOpt('MODE', 'insert');
+  const retire = process.env.RETIRE === '1' || process.env.RETIRE === 'true' || process.argv.includes('--retire');
+
+  if (!filePath && !url) {
+    console.error('Set FILE (or URL) to the file to import.');
+    process.exit(1);
+  }
+  if (!dryRun && yearKeyOpt == null && !fiscalYearLabel) {
+    console.error('Cannot tell the fiscal year from the file name; set FISCAL_YEAR (e.g. FISCAL_YEAR=2025) or YEAR.');
+    process.exit(1);
+  }
+
+  const delimiter = getOpt('DELIMITER', undefined);
+  const source = {
+    ...await loadSource({ file: filePath, url }),
+    columns: columnMapping(getOpt('COLUMNS', undefined)),
+    delimiter: delimiter === 'tab' ? '\t' : delimiter,
+    campus: getOpt('CAMPUS', undefined),
+  };
+  const adapter = getOpt('ADAPTER', undefined) ?? await adapterForSource(source);
+  console.log('Import %s (adapter=%s, mode=%s, retire=%s, limit=%s, clear=%s, dryRun=%s)', source.name, adapter, mode, retire, limit, clearFirst, dryRun);
+
+  // A reconcile dry run reads the stored year to print the diff; an insert dry run needs no database
+  if (dryRun && mode === 'insert') {
+    await runImport(null, { adapter, source, year: null, limit, dryRun });
+    process.exit(0);
+  }
+
+  const client = await pool.connect();
+  try {
+    const year = yearKeyOpt != null || dryRun
+      ? await findFiscalYear(client, { yearKey: yearKeyOpt, label: fiscalYearLabel })
+      : await ensureFiscalYear(client, fiscalYearLabel);
+    if (!year && !dryRun) throw new Error(`Unknown year_key ${yearKeyOpt}; see the fiscal_years table or use FISCAL_YEAR`);
+    console.log('Fiscal year: %s', year ? `${year.fiscal_year} (year_key=${year.year_key})` : `${fiscalYearLabel} (not registered yet)`);
+    await runImport(client, { adapter, source, year, mode, retire, limit, clear: clearFirst, dryRun });
+  } catch (err) {
+    console.error('Import failed:', err);
+    process.exitCode = 1;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+  process.exit(process.exitCode || 0);
+}
+
+main().catch((err) => {
+  console.error('Import failed:', err.message);
+  process.exit(1);
+});
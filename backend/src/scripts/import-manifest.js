@@ -0,0 +1,168 @@
+/**
+ * Import every source listed in a manifest (src/import/manifest.js), e.g. the bundled disclosures
+ * in src/salaries/manifest.json.
+ *
+ * Each file's SHA-256 is checked against the manifest first; a missing file or a different
+ * checksum fails the entry. Entries whose file was already imported into their year (a
+ * succeeded run with the same checksum) are skipped. The others are imported in reconcile mode,
+ * all-or-nothing per entry, and fail without writing anything when the number of records read
+ * differs from the manifest's count. Different years are read side by side; entries for the
+ * same year run one after another, and the database writes take turns (see pipeline.js).
+ * Exits with status 1 when any entry failed.
+ *
+ * Usage:
+ *   node src/scripts/import-manifest.js [manifest.json] [options]
+ *   npm run import:manifest
+ *
+ * Options (env or CLI):
+ *   MANIFEST=path    Manifest file. Default: src/salaries/manifest.json.
+ *   CONCURRENCY=2    Years imported at the same time. Default 2.
+ *   ONLY=2024,2025   Import only these fiscal years.
+ *   --force          Import entries even when their file was imported already.
+ *   --dry-run        Check files and counts and print the diffs; no database writes.
+ */
+
+import 'dotenv/config';
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pool from '../db/pool.js';
+import { ensureFiscalYear, findFiscalYear } from '../db/fiscal-years.js';
+import { adapterForSource } from '../import/adapters/index.js';
+import { loadManifest } from '../import/manifest.js';
+import { loadSource, runImport } from '../import/pipeline.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_MANIFEST = path.join(__dirname, '..', 'salaries', 'manifest.json');
+
+function getOpt(name, def) {
+  const env = process.env[name];
+  if (env !== undefined && env !== '') return env;
+  const arg = process.argv.find((a) => a.startsWith(`--${name.toLowerCase()}=`));
+  return arg ? arg.split('=')[1] : def;
+}
+
+/** The last succeeded run of the year with this checksum, or null. */
+async function alreadyImported(client, yearKey, checksum) {
+  const { rows } = await client.query(
+    `SELECT id FROM import_runs WHERE year_key = $1 AND checksum = $2 AND status = 'succeeded' ORDER BY id DESC LIMIT 1`,
+    [yearKey, checksum]
+  );
+  return rows[0]?.id ?? null;
+}
+
+/**
+ * Check an entry's file and decide what to do with it: { status: 'failed' | 'unchanged' | 'pending',
+ * detail, source, year }. Years are registered here, one entry at a time, so that parallel
+ * imports never register two new years at once.
+ */
+async function prepareEntry(client, entry, { force, dryRun }) {
+  let source;
+  try {
+    source = await loadSource({ file: entry.file, url: entry.url });
+  } catch (err) {
+    return { status: 'failed', detail: err.message };
+  }
+  const checksum = crypto.createHash('sha256').update(source.buffer).digest('hex');
+  if (checksum !== entry.sha256) {
+    return { status: 'failed', detail: `checksum mismatch: manifest ${entry.sha256}, file ${checksum}` };
+  }
+  const known = await findFiscalYear(client, { label: entry.label });
+  const previousRun = known ? await alreadyImported(client, known.year_key, checksum) : null;
+  if (previousRun && !force) return { status: 'unchanged', detail: `imported by run ${previousRun}` };
+  const year = dryRun ? known : await ensureFiscalYear(client, entry.label);
+  return { status: 'pending', detail: previousRun ? `re-import of run ${previousRun}` : 'new', source, year };
+}
+
+/** Import a prepared entry on its own connection; returns { status, detail }. */
+async function importEntry(entry, { source, year }, { dryRun }) {
+  const log = (fmt, ...args) => console.log(`[${entry.label} ${path.basename(entry.name)}] ${fmt}`, ...args);
+  const client = await pool.connect();
+  try {
+    const adapter = entry.format ?? await adapterForSource(source);
+    log('Importing with %s (expecting %d records%s)', adapter, entry.records, entry.campuses ? ` for ${entry.campuses.join(', ')}` : '');
+    const result = await runImport(client, {
+      adapter,
+      source,
+      year,
+      mode: 'reconcile',
+      retire: entry.retire,
+      campuses: entry.campuses,
+      expectedCount: entry.records,
+      dryRun,
+      log,
+    });
+    if (dryRun) return { status: 'checked', detail: `${result.parsed} records as expected; ${result.held} held by validation` };
+    return {
+      status: 'imported',
+      detail: `${result.parsed} records; inserted ${result.inserted}, updated ${result.updated}, retired ${result.retired}, held ${result.held} (run ${result.runId})`,
+    };
+  } catch (err) {
+    return { status: 'failed', detail: err.message };
+  } finally {
+    client.release();
+  }
+}
+
+/** Run fn over items with at most limit in flight; results in item order. */
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+async function main() {
+  const manifestPath = process.argv.slice(2).find((a) => !a.startsWith('--')) ?? getOpt('MANIFEST', DEFAULT_MANIFEST);
+  const concurrency = Math.max(1, parseInt(getOpt('CONCURRENCY', '2'), 10) || 1);
+  const only = getOpt('ONLY', '') ? getOpt('ONLY', '').split(',').map((s) => s.trim()) : null;
+  const force = process.argv.includes('--force');
+  const dryRun = process.argv.includes('--dry-run');
+
+  const entries = loadManifest(manifestPath).filter((e) => !only || only.includes(e.label));
+  console.log('Import manifest %s: %d sources, concurrency=%d, force=%s, dryRun=%s', manifestPath, entries.length, concurrency, force, dryRun);
+
+  const results = new Map();
+  try {
+    const client = await pool.connect();
+    try {
+      for (const entry of entries) results.set(entry, await prepareEntry(client, entry, { force, dryRun }));
+    } finally {
+      client.release();
+    }
+
+    // Entries of the same year share one queue, so they never write the same year at once
+    const byYear = new Map();
+    for (const e of entries.filter((e) => results.get(e).status === 'pending')) {
+      if (!byYear.has(e.label)) byYear.set(e.label, []);
+      byYear.get(e.label).push(e);
+    }
+    await mapLimit([...byYear.values()], concurrency, async (group) => {
+      for (const entry of group) results.set(entry, await importEntry(entry, results.get(entry), { dryRun }));
+    });
+  } finally {
+    await pool.end();
+  }
+
+  console.log('\nManifest results:');
+  for (const entry of entries) {
+    const { status, detail } = results.get(entry);
+    console.log('  %s #%d %s (%s): %s', (status === 'failed' ? 'FAILED' : status).padEnd(9), entry.index, entry.name, entry.label, detail);
+  }
+  const failed = entries.filter((e) => results.get(e).status === 'failed');
+  if (failed.length) {
+    console.error('\n%d of %d manifest entries failed; nothing was written for them.', failed.length, entries.length);
+    process.exit(1);
+  }
+}
+
+main().catch((err) => {
+  console.error('Manifest import failed:', err.message);
+  process.exit(1);
+});
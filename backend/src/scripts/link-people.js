@@ -0,0 +1,39 @@
+/**
+ * Link salary_records rows across years to stable people ids (see db/people.js).
+ * Importers run this automatically; use it after manual data changes or to re-resolve everything.
+ *
+ * Usage:
+ *   node src/scripts/link-people.js [--rebuild]
+ *   npm run link:people
+ *
+ * Options:
+ *   --rebuild   Re-resolve every year from scratch. Existing person ids are kept for the people
+ *               that are still there, so /person/:id links keep working.
+ */
+
+import 'dotenv/config';
+import pool from '../db/pool.js';
+import { linkPeople } from '../db/people.js';
+import { runPostImport, logPostImport, withWriteLock } from '../db/post-import.js';
+
+async function main() {
+  const rebuild = process.argv.includes('--rebuild');
+  const client = await pool.connect();
+  try {
+    const { result, derived } = await withWriteLock(client, async () => {
+      const result = await linkPeople(client, { rebuild });
+      // Year-over-year change follows person links, and top earners in the snapshots carry person ids
+      return { result, derived: await runPostImport(client, { reason: rebuild ? 'link:people --rebuild' : 'link:people', link: false }) };
+    });
+    console.log('Linked %d records to earlier years (%d flagged for review); created %d people.', result.linked, result.review, result.created);
+    logPostImport(derived);
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
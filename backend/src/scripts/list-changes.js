@@ -0,0 +1,46 @@
+/**
+ * List recent change batches from the change history (salary_record_changes): who changed
+ * salary_records, why, when, how many rows, and whether the batch has been undone.
+ * Usage: node src/scripts/list-changes.js [recordId]
+ *        npm run changes
+ *   recordId   Show every logged change to one record instead, oldest first.
+ *   LIMIT=20   Number of batches to show.
+ */
+
+import 'dotenv/config';
+import pool from '../db/pool.js';
+import { listChangeBatches } from '../db/record-changes.js';
+
+const recordId = process.argv[2];
+
+const client = await pool.connect();
+try {
+  if (recordId) {
+    const { rows } = await client.query(
+      `SELECT batch_id, action, old_values, new_values, actor, reason, changed_at
+       FROM salary_record_changes WHERE record_id = $1 ORDER BY changed_at, id`,
+      [recordId]
+    );
+    if (rows.length === 0) console.log('No changes logged for record %s.', recordId);
+    for (const c of rows) {
+      console.log('%s %s by %s (%s) batch %s', c.changed_at.toISOString(), c.action, c.actor, c.reason || 'no reason', c.batch_id);
+      if (c.action === 'update') {
+        for (const key of Object.keys(c.new_values)) console.log('    %s: %j -> %j', key, c.old_values?.[key], c.new_values[key]);
+      }
+    }
+  } else {
+    const batches = await listChangeBatches(client, { limit: parseInt(process.env.LIMIT || '20', 10) });
+    if (batches.length === 0) console.log('No changes logged.');
+    for (const b of batches) {
+      console.log(
+        '%s %s  %s (%s)  updated=%d deleted=%d inserted=%d  year_keys=%s%s%s',
+        b.batch_id, b.changed_at.toISOString().slice(0, 16), b.actor, b.reason || 'no reason',
+        b.updated, b.deleted, b.inserted, b.year_keys.join(','),
+        b.undo_of ? `  undoes ${b.undo_of}` : '', b.undone_by ? `  undone by ${b.undone_by}` : ''
+      );
+    }
+  }
+} finally {
+  client.release();
+  await pool.end();
+}
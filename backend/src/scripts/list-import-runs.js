@@ -0,0 +1,37 @@
+/**
+ * List recent import runs (import_runs): adapter, source, checksum, counts, duration, and how many
+ * salary_records rows still reference each run.
+ * Usage: node src/scripts/list-import-runs.js [yearKey]
+ *        npm run import:runs
+ *   LIMIT=50   Number of runs to show.
+ */
+
+import 'dotenv/config';
+import pool from '../db/pool.js';
+import { listImportRuns } from '../db/import-runs.js';
+
+const yearKey = process.argv[2] != null ? parseInt(process.argv[2], 10) : null;
+if (yearKey != null && Number.isNaN(yearKey)) {
+  console.error('Usage: node list-import-runs.js [yearKey]');
+  process.exit(1);
+}
+
+const client = await pool.connect();
+try {
+  const runs = await listImportRuns(client, { yearKey, limit: parseInt(process.env.LIMIT || '50', 10) });
+  if (runs.length === 0) console.log('No import runs.');
+  for (const r of runs) {
+    const seconds = r.duration_ms != null ? `${(r.duration_ms / 1000).toFixed(1)}s` : '-';
+    console.log(
+      '#%d %s %s %s  %s%s (%s)  parsed=%d inserted=%d updated=%d retired=%d skipped=%d failed=%d held=%d  records=%d  %s',
+      r.id, r.started_at.toISOString().slice(0, 16), r.status.padEnd(9), r.label, r.adapter,
+      r.options?.mode === 'reconcile' ? ' reconcile' : '', r.source,
+      r.parsed, r.inserted, r.updated, r.retired, r.skipped, r.failed, r.held, r.records, seconds
+    );
+    if (r.checksum) console.log('    sha256 %s', r.checksum);
+    if (r.error) console.log('    error: %s', r.error);
+  }
+} finally {
+  client.release();
+  await pool.end();
+}
@@ -0,0 +1,75 @@
+/**
+ * Schema migrations (src/db/migrations.js, files in src/db/migrations).
+ *
+ * Usage:
+ *   npm run db:migrate               Apply pending migrations
+ *   npm run db:rollback              Undo the last applied migration
+ *   npm run db:status                List migrations and whether they are applied
+ *   node src/scripts/migrate.js up|down|status [options]
+ *
+ * Options (env or CLI):
+ *   TO=3            up: apply only up to version 3. down: undo every migration after version 3.
+ *   STEPS=2         down: undo the last 2 migrations (default 1).
+ *   --drop-all      down: allow undoing 001_baseline, which drops every table and all data.
+ */
+
+import 'dotenv/config';
+import pool from '../db/pool.js';
+import { migrate, migrationStatus, rollback } from '../db/migrations.js';
+
+function getOpt(name, def) {
+  const env = process.env[name];
+  if (env !== undefined && env !== '') return env;
+  const arg = process.argv.find((a) => a.startsWith(`--${name.toLowerCase()}=`));
+  return arg ? arg.split('=')[1] : def;
+}
+
+async function printStatus(client) {
+  const status = await migrationStatus(client);
+  for (const m of status) {
+    const state = m.missing ? 'unknown' : m.applied ? 'applied' : 'pending';
+    const note = [
+      m.appliedAt ? m.appliedAt.toISOString() : '',
+      m.modified ? 'file changed since it was applied' : '',
+      m.missing ? 'applied, but not in this checkout' : '',
+    ].filter(Boolean).join('; ');
+    console.log('  %s  %s%s', state.padEnd(8), m.label.padEnd(30), note);
+  }
+  const pending = status.filter((m) => !m.applied).length;
+  if (pending) console.log('%d pending; run npm run db:migrate', pending);
+  else console.log('Schema is up to date.');
+}
+
+async function main() {
+  const command = process.argv.slice(2).find((a) => !a.startsWith('--')) ?? 'status';
+  const to = getOpt('TO', null) != null ? parseInt(getOpt('TO', null), 10) : null;
+  const steps = Math.max(1, parseInt(getOpt('STEPS', '1'), 10) || 1);
+
+  const client = await pool.connect();
+  try {
+    if (command === 'up') {
+      const applied = await migrate(client, { to: to ?? Infinity });
+      console.log(applied.length ? `Applied ${applied.length} migrations.` : 'Nothing to apply; schema is up to date.');
+    } else if (command === 'down') {
+      const applied = (await migrationStatus(client)).filter((m) => m.applied).sort((a, b) => b.version - a.version);
+      const undo = to != null ? applied.filter((m) => m.version > to) : applied.slice(0, steps);
+      if (undo.some((m) => m.version === 1) && !process.argv.includes('--drop-all')) {
+        throw new Error('Rolling back 001_baseline drops every table and all salary data; pass --drop-all to confirm');
+      }
+      const rolledBack = await rollback(client, { steps, to });
+      console.log(rolledBack.length ? `Rolled back ${rolledBack.length} migrations.` : 'Nothing to roll back.');
+    } else if (command === 'status') {
+      await printStatus(client);
+    } else {
+      throw new Error(`Unknown command "${command}"; expected up, down or status`);
+    }
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error('Migration failed:', err.message);
+  process.exit(1);
+});
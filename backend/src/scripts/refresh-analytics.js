@@ -0,0 +1,45 @@
+/**
+ * Recompute the person-year rollup, year-over-year change, peer percentile ranks and the stored /api/analytics snapshots
+ * (analytics_snapshots) from salary_records.
+ * Imports and fix scripts do this on their own; run it after editing data by hand.
+ *
+ * Usage:
+ *   node src/scripts/refresh-analytics.js [yearKey...]
+ *   npm run analytics:refresh
+ *
+ * With no year keys, every published year is refreshed.
+ */
+
+import 'dotenv/config';
+import pool from '../db/pool.js';
+import { refreshAnalytics } from '../db/analytics.js';
+import { computePersonYears } from '../db/person-years.js';
+import { computeChangeFromLastYear } from '../db/raises.js';
+import { computePeerRanks } from '../db/peer-ranks.js';
+import { bumpDatasetVersion } from '../db/dataset-version.js';
+import { withWriteLock } from '../db/post-import.js';
+
+async function main() {
+  const yearKeys = process.argv.slice(2).map((v) => parseInt(v, 10)).filter((v) => !Number.isNaN(v));
+  const client = await pool.connect();
+  try {
+    const started = Date.now();
+    const count = await withWriteLock(client, async () => {
+      await computePersonYears(client);
+      await computeChangeFromLastYear(client);
+      await computePeerRanks(client);
+      const refreshed = await refreshAnalytics(client, yearKeys.length ? { yearKeys } : {});
+      await bumpDatasetVersion(client, 'analytics:refresh');
+      return refreshed;
+    });
+    console.log('Refreshed analytics for %d years in %dms.', count, Date.now() - started);
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,43 @@
+/**
+ * Undo a change batch from the change history (salary_record_changes): restore updated values,
+ * re-insert deleted rows and remove rows the batch inserted, in one transaction, then rebuild
+ * derived data. The undo is logged as a new batch. Refuses when a row the batch changed has been
+ * changed again since. See npm run changes for batch ids.
+ *
+ * Usage:
+ *   node src/scripts/undo-changes.js <batchId> [--reason "..."]
+ *   npm run changes:undo -- <batchId>
+ */
+
+import 'dotenv/config';
+import pool from '../db/pool.js';
+import { undoChangeBatch } from '../db/record-changes.js';
+import { runPostImport, logPostImport, withWriteLock } from '../db/post-import.js';
+
+const batchId = process.argv[2];
+if (!batchId || !/^[0-9a-f-]{36}$/i.test(batchId)) {
+  console.error('Usage: node undo-changes.js <batchId> [--reason "..."]  (see npm run changes)');
+  process.exit(1);
+}
+const reasonArg = process.argv.indexOf('--reason');
+const reason = (reasonArg !== -1 ? process.argv[reasonArg + 1] : process.env.REASON) || null;
+
+const client = await pool.connect();
+try {
+  const { result, derived } = await withWriteLock(client, async () => {
+    const result = await undoChangeBatch(client, batchId, { actor: 'changes:undo', reason });
+    return { result, derived: await runPostImport(client, { reason: `undo ${batchId}`, link: result.restored > 0 }) };
+  });
+  console.log(
+    'Undid batch %s: %d values restored, %d deleted rows restored, %d inserted rows removed (undo batch %s)',
+    batchId, result.reverted, result.restored, result.removed, result.batch.id
+  );
+  if (result.skipped) console.log('%d deleted rows were not restored: a row with the same name, title and department exists again', result.skipped);
+  logPostImport(derived);
+} catch (err) {
+  console.error('Undo failed:', err.message);
+  process.exitCode = 1;
+} finally {
+  client.release();
+  await pool.end();
+}
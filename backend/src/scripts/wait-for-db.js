@@ -0,0 +1,36 @@
+/**
+ * Wait until Postgres (DATABASE_URL) accepts connections; the Docker entrypoint runs it before
+ * the migrations. Only connection errors are retried: a wrong password or a missing database
+ * fails at once with the server's message.
+ * Usage: node src/scripts/wait-for-db.js
+ *   DB_WAIT_SECONDS=60   Give up after this long (exit 1).
+ */
+
+import 'dotenv/config';
+import pool from '../db/pool.js';
+
+// Network errors, and Postgres still starting up or shutting down (57P01-57P03)
+const RETRYABLE = new Set(['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', '57P01', '57P02', '57P03']);
+
+const waitSeconds = parseInt(process.env.DB_WAIT_SECONDS, 10) || 60;
+const deadline = Date.now() + waitSeconds * 1000;
+
+try {
+  for (;;) {
+    try {
+      await pool.query('SELECT 1');
+      break;
+    } catch (err) {
+      if (!RETRYABLE.has(err.code)) throw err;
+      if (Date.now() > deadline) throw new Error(`Postgres not reachable after ${waitSeconds}s (${err.code})`);
+      console.log('Waiting for Postgres...');
+      await new Promise((resolve) => setTimeout(resolve, 2000));
+    }
+  }
+  console.log('Database reachable.');
+} catch (err) {
+  console.error('Could not connect to the database:', err.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
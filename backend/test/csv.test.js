@@ -0,0 +1,134 @@
+/**
+ * csv adapter: a spreadsheet of the rows sampled in a golden PDF fixture reads as the same
+ * normalized records, and the parsing of the text, the header and the column mapping.
+ * fixtures/salary_record_2025.sample.csv holds the samples of salary_record_2025.golden.json as
+ * the disclosure prints them; update both together.
+ */
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { csv, parseColumnMapping, parseDelimited, resolveColumns } from '../src/import/adapters/csv.js';
+import { SourceError, normalizeRecord } from '../src/import/record.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+async function readCsv(text, options = {}) {
+  const failures = [];
+  const ctx = { log: () => {}, fail: (reason, detail) => failures.push(`${reason}: ${detail}`), hash: () => {} };
+  const records = [];
+  for await (const batch of csv.read({ name: 'test.csv', buffer: Buffer.from(text), ...options }, ctx)) {
+    records.push(...batch);
+  }
+  return { records, failures };
+}
+
+test('csv reads the golden PDF sample rows as the PDF records', async () => {
+  const golden = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'salary_record_2025.golden.json'), 'utf8'));
+  const { records, failures } = await readCsv(fs.readFileSync(path.join(FIXTURES, 'salary_record_2025.sample.csv')));
+  assert.deepEqual(failures, []);
+  assert.deepEqual(records.map(normalizeRecord), golden.samples.map(({ index, ...r }) => normalizeRecord(r)));
+});
+
+test('csv reads spreadsheet formatting as the same record', async () => {
+  const header = 'Name,Campus,FTR,Basis,Fraction,GF\n';
+  const printed = await readCsv(`${header}"Aaron, Micah",UM_ANN-ARBOR,"113,000.00",9-Month,1.00,"113,000.00"\n`);
+  const spreadsheet = await readCsv(`${header}"Aaron, Micah",Ann Arbor,"$113,000",9,1,$113000\n`);
+  assert.deepEqual(spreadsheet.failures, []);
+  assert.deepEqual(spreadsheet.records, printed.records);
+});
+
+test('csv counts rows the PDF importers could not read as unreadable', async () => {
+  const { records, failures } = await readCsv([
+    'Name,Campus,FTR,Basis',
+    '"Aaron, Micah",UM_ANN-ARBOR,-113000.00,12-Month',
+    '"Aaron, Micah",UM_ANN-ARBOR,113000.00,10-Month',
+    '"Aaron, Micah",Lansing,113000.00,12-Month',
+    'Micah Aaron,UM_ANN-ARBOR,113000.00,12-Month',
+    '"Aaron, Micah",UM_ANN-ARBOR,n/a,12-Month',
+  ].join('\n'));
+  assert.deepEqual(records, []);
+  assert.deepEqual(failures.map((f) => f.split(':')[0]), [
+    'unreadable FTR "-113000.00"',
+    'unreadable basis "10-Month"',
+    'unknown campus "Lansing"',
+    'name is not "Last, First"',
+    'unreadable FTR "n/a"',
+  ]);
+});
+
+test('parseDelimited', async (t) => {
+  await t.test('quoted fields keep delimiters, doubled quotes and newlines', () => {
+    assert.deepEqual(parseDelimited('a,"b, c","say ""hi""","two\nlines"\n', ','), [['a', 'b, c', 'say "hi"', 'two\nlines']]);
+  });
+
+  await t.test('CRLF and CR end rows like LF', () => {
+    assert.deepEqual(parseDelimited('a,b\r\nc,d\re,f\n', ','), [['a', 'b'], ['c', 'd'], ['e', 'f']]);
+  });
+
+  await t.test('a quoted CRLF stays in the field', () => {
+    assert.deepEqual(parseDelimited('"x\r\ny",z\r\n', ','), [['x\r\ny', 'z']]);
+  });
+
+  await t.test('the last row needs no line end; blank rows are dropped', () => {
+    assert.deepEqual(parseDelimited('a,b\n\n , \nc,', ','), [['a', 'b'], ['c', '']]);
+  });
+
+  await t.test('tab-separated', () => {
+    assert.deepEqual(parseDelimited('a\t"b\tc"\td\n', '\t'), [['a', 'b\tc', 'd']]);
+  });
+
+  await t.test('a quote inside an unquoted field is text', () => {
+    assert.deepEqual(parseDelimited('5" pipe,x\n', ','), [['5" pipe', 'x']]);
+  });
+});
+
+test('parseColumnMapping', async (t) => {
+  await t.test('inline and object forms', () => {
+    assert.deepEqual(parseColumnMapping('ftr=Annual Rate; gf = GF Amount;'), { ftr: ['Annual Rate'], gf: ['GF Amount'] });
+    assert.deepEqual(parseColumnMapping({ ftr: 'Annual Rate', name: ['Employee', 'Person'] }), { ftr: ['Annual Rate'], name: ['Employee', 'Person'] });
+    assert.deepEqual(parseColumnMapping(undefined), {});
+  });
+
+  await t.test('a pair without a field is an error', () => {
+    assert.throws(() => parseColumnMapping('ftr=Rate;Annual Rate'), { name: 'SourceError', message: /"Annual Rate" is not field=Header/ });
+    assert.throws(() => parseColumnMapping('=Rate'), SourceError);
+  });
+
+  await t.test('an unknown field is an error', () => {
+    assert.throws(() => parseColumnMapping('salary=Rate'), { name: 'SourceError', message: /Unknown column "salary"/ });
+    assert.throws(() => parseColumnMapping({ wage: 'Rate' }), SourceError);
+  });
+});
+
+test('resolveColumns', async (t) => {
+  await t.test('default headers match regardless of case and punctuation', () => {
+    assert.deepEqual(resolveColumns(['CAMPUS', 'Name', 'Appt. Annual FTR', 'appt_ftr_basis', 'Amt of Salary Paid from Genl Fund']), {
+      campus: 0, name: 1, ftr: 2, basis: 3, gf: 4,
+    });
+  });
+
+  await t.test('a mapped header replaces the defaults of its field', () => {
+    assert.deepEqual(resolveColumns(['Name', 'Salary', 'Annual Rate'], { ftr: ['Annual Rate'] }), { name: 0, ftr: 2 });
+  });
+
+  await t.test('mapping last/first names drops the Name default, and the other way round', () => {
+    assert.deepEqual(resolveColumns(['Name', 'Surname', 'Given', 'FTR'], parseColumnMapping('last_name=Surname;first_name=Given')), {
+      last_name: 1, first_name: 2, ftr: 3,
+    });
+    assert.deepEqual(resolveColumns(['Last Name', 'Person', 'FTR'], parseColumnMapping('name=Person')), { name: 1, ftr: 2 });
+  });
+
+  await t.test('a mapped header the file does not have is an error', () => {
+    assert.throws(() => resolveColumns(['Name', 'FTR'], { gf: ['GF Amount'] }), {
+      name: 'SourceError', message: 'No column "GF Amount" for gf; the header has: Name, FTR',
+    });
+  });
+
+  await t.test('a name and an FTR column are required', () => {
+    assert.throws(() => resolveColumns(['Title', 'FTR']), { name: 'SourceError', message: /^No name column/ });
+    assert.throws(() => resolveColumns(['Name', 'Title']), { name: 'SourceError', message: /^No FTR column/ });
+  });
+});
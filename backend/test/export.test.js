@@ -0,0 +1,85 @@
+/**
+ * Backpressure of the xlsx export. sheetDrained (routes/export.js) reads ExcelJS internals, the
+ * stream a worksheet is piped into and its _writableState, because nothing public tells when
+ * committed rows are still queued in front of the zip. exceljs is pinned to an exact version;
+ * these tests fail when an upgrade moves those internals, instead of exports buffering without
+ * limit again.
+ */
+import assert from 'node:assert/strict';
+import { PassThrough } from 'node:stream';
+import { test } from 'node:test';
+import ExcelJS from 'exceljs';
+import { sheetDrained } from '../src/routes/export.js';
+
+const BATCH = 1000;
+const MAX_BATCHES = 200;
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+function openSheet(res) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+  const sheet = workbook.addWorksheet('Records');
+  sheet.columns = [{ header: 'Name', key: 'name' }, { header: 'FTR', key: 'ftr' }];
+  return { workbook, sheet };
+}
+
+function addBatch(sheet, start) {
+  for (let i = start; i < start + BATCH; i++) sheet.addRow({ name: `Person ${i} ${(i * 7919) % 104729}`, ftr: 50000 + i }).commit();
+}
+
+/** Whether promise is still pending after ms. */
+async function pendingAfter(promise, ms) {
+  let settled = false;
+  promise.then(() => { settled = true; });
+  await new Promise((resolve) => setTimeout(resolve, ms));
+  return !settled;
+}
+
+test('a committed worksheet is piped into a stream with a writable state', async () => {
+  const res = new PassThrough();
+  res.resume();
+  const { workbook, sheet } = openSheet(res);
+  addBatch(sheet, 0);
+  await tick();
+  const [entry] = sheet.stream.pipes ?? [];
+  assert.ok(Array.isArray(sheet.stream.pipes), 'worksheet stream has no pipes array');
+  assert.equal(typeof entry?._writableState?.needDrain, 'boolean', 'piped stream has no _writableState.needDrain');
+  assert.equal(typeof entry.on, 'function');
+  sheet.commit();
+  await workbook.commit();
+});
+
+/**
+ * Add batches until sheetDrained waits. Resolves to { waiting } holding that pending promise
+ * (wrapped, or the async function would adopt it), or null if it never waited.
+ */
+async function fillUntilWaiting(sheet, res) {
+  for (let b = 0; b < MAX_BATCHES; b++) {
+    addBatch(sheet, b * BATCH);
+    const drained = sheetDrained(sheet, res);
+    if (await pendingAfter(drained, 200)) return { waiting: drained };
+  }
+  return null;
+}
+
+test('sheetDrained holds the export while the response takes nothing, and resumes when it drains', async () => {
+  // A response whose client reads nothing until resume()
+  const res = new PassThrough();
+  const { workbook, sheet } = openSheet(res);
+  const { waiting } = (await fillUntilWaiting(sheet, res)) ?? {};
+  assert.ok(waiting, `sheetDrained never waited over ${MAX_BATCHES * BATCH} rows the response did not take`);
+
+  res.resume();
+  assert.equal(await pendingAfter(waiting, 2000), false, 'sheetDrained kept waiting after the response drained');
+  sheet.commit();
+  await workbook.commit();
+});
+
+test('sheetDrained stops waiting when the client goes away', async () => {
+  const res = new PassThrough();
+  const { sheet } = openSheet(res);
+  const { waiting } = (await fillUntilWaiting(sheet, res)) ?? {};
+  assert.ok(waiting, 'sheetDrained never waited');
+
+  res.destroy();
+  assert.equal(await pendingAfter(waiting, 2000), false, 'sheetDrained kept waiting after the response closed');
+});
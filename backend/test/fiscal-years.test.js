@@ -0,0 +1,55 @@
+/**
+ * Fiscal year registry (db/fiscal-years.js): which year_key a request's ?year= selects, and the
+ * year labels. resolveYearKey runs against a stand-in client that answers the one query it makes.
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { fiscalYearName, labelFromFileName, resolveYearKey } from '../src/db/fiscal-years.js';
+
+/** A client whose queries all return rows, recording the SQL it was sent. */
+function fakeClient(rows) {
+  const queries = [];
+  return {
+    queries,
+    async query(sql) {
+      queries.push(sql);
+      return { rows };
+    },
+  };
+}
+
+test('resolveYearKey', async (t) => {
+  await t.test('a year key is used as given, without a query', async () => {
+    const client = fakeClient([{ year_key: 0 }]);
+    assert.equal(await resolveYearKey(client, '3'), 3);
+    assert.equal(await resolveYearKey(client, 0), 0);
+    assert.deepEqual(client.queries, []);
+  });
+
+  await t.test('without a year, the newest published year', async () => {
+    const client = fakeClient([{ year_key: 7 }]);
+    assert.equal(await resolveYearKey(client, undefined), 7);
+    assert.equal(await resolveYearKey(client, ''), 7);
+    assert.equal(await resolveYearKey(client, 'latest'), 7);
+    assert.equal(client.queries.length, 3);
+    assert.match(client.queries[0], /WHERE published ORDER BY start_date DESC LIMIT 1/);
+  });
+
+  await t.test('null when no year is published', async () => {
+    assert.equal(await resolveYearKey(fakeClient([]), undefined), null);
+  });
+});
+
+test('fiscalYearName', () => {
+  assert.equal(fiscalYearName('2025'), '2025-26');
+  assert.equal(fiscalYearName(1999), '1999-00');
+  assert.equal(fiscalYearName('2009'), '2009-10');
+});
+
+test('labelFromFileName', () => {
+  assert.equal(labelFromFileName('salary_record_2025.pdf'), '2025');
+  assert.equal(labelFromFileName('https://example.edu/reports/2019/disclosure.pdf'), '2019');
+  assert.equal(labelFromFileName('salaries.csv'), null);
+  assert.equal(labelFromFileName('report-120251.pdf'), null);
+  assert.equal(labelFromFileName(undefined), null);
+});
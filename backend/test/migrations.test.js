@@ -0,0 +1,122 @@
+/**
+ * Schema migrations (db/migrations.js): how the files are read (order, pairing, mistakes in the
+ * directory) and how migrationStatus compares them with schema_migrations. Each test writes its
+ * migrations to a temporary directory; the database is a stand-in client.
+ */
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import { MIGRATIONS_DIR, loadMigrations, migrationStatus } from '../src/db/migrations.js';
+
+/** A temporary migrations directory holding files ({ name: sql }), removed after the test. */
+function migrationsDir(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, sql] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), sql);
+  return dir;
+}
+
+/** A client with schema_migrations holding rows ({ version, name, checksum, applied_at }). */
+function fakeClient(rows) {
+  return {
+    async query(sql) {
+      if (sql.includes('to_regclass')) return { rows: [{ exists: rows != null }] };
+      return { rows: rows ?? [] };
+    },
+  };
+}
+
+test('loadMigrations', async (t) => {
+  await t.test('in version order, not file name order', (t) => {
+    const dir = migrationsDir(t, {
+      '10_tenth.up.sql': 'SELECT 10;',
+      '9_ninth.up.sql': 'SELECT 9;',
+      '002_second.up.sql': 'SELECT 2;',
+    });
+    assert.deepEqual(loadMigrations(dir).map((m) => [m.version, m.name]), [[2, 'second'], [9, 'ninth'], [10, 'tenth']]);
+  });
+
+  await t.test('pairs up and down files; down is null when there is none', (t) => {
+    const dir = migrationsDir(t, {
+      '001_a.up.sql': 'CREATE TABLE a ();',
+      '001_a.down.sql': 'DROP TABLE a;',
+      '002_b.up.sql': 'CREATE TABLE b ();',
+    });
+    const [a, b] = loadMigrations(dir);
+    assert.equal(a.up, 'CREATE TABLE a ();');
+    assert.equal(a.down, 'DROP TABLE a;');
+    assert.equal(b.down, null);
+  });
+
+  await t.test('other files in the directory are ignored', (t) => {
+    const dir = migrationsDir(t, { '001_a.up.sql': 'SELECT 1;', 'README.md': 'notes', '002_b.sql': 'SELECT 2;', 'x_c.up.sql': '' });
+    assert.deepEqual(loadMigrations(dir).map((m) => m.version), [1]);
+  });
+
+  await t.test('two migrations with one number are an error', (t) => {
+    const dir = migrationsDir(t, { '003_add_index.up.sql': 'SELECT 1;', '003_add_column.up.sql': 'SELECT 2;' });
+    assert.throws(() => loadMigrations(dir), /Two migrations numbered 3: add_column and add_index/);
+  });
+
+  await t.test('a down file without its up file is an error', (t) => {
+    const dir = migrationsDir(t, { '001_a.up.sql': 'SELECT 1;', '002_b.down.sql': 'SELECT 2;' });
+    assert.throws(() => loadMigrations(dir), /Migration 002_b has a down file but no up file/);
+  });
+
+  await t.test('the checksum follows the up file only', (t) => {
+    const dir = migrationsDir(t, { '001_a.up.sql': 'CREATE TABLE a ();', '001_a.down.sql': 'DROP TABLE a;' });
+    const [before] = loadMigrations(dir);
+    assert.match(before.checksum, /^[0-9a-f]{64}$/);
+
+    fs.writeFileSync(path.join(dir, '001_a.down.sql'), 'DROP TABLE IF EXISTS a;');
+    assert.equal(loadMigrations(dir)[0].checksum, before.checksum);
+
+    fs.writeFileSync(path.join(dir, '001_a.up.sql'), 'CREATE TABLE a (id INT);');
+    assert.notEqual(loadMigrations(dir)[0].checksum, before.checksum);
+  });
+
+  await t.test('the bundled migrations are numbered from 1 without gaps and can all be rolled back', () => {
+    const migrations = loadMigrations(MIGRATIONS_DIR);
+    assert.deepEqual(migrations.map((m) => m.version), migrations.map((_, i) => i + 1));
+    assert.deepEqual(migrations.filter((m) => m.down == null).map((m) => m.name), []);
+  });
+});
+
+test('migrationStatus', async (t) => {
+  await t.test('everything pending before schema_migrations exists', async (t) => {
+    const dir = migrationsDir(t, { '001_a.up.sql': 'SELECT 1;', '002_b.up.sql': 'SELECT 2;' });
+    const status = await migrationStatus(fakeClient(null), { dir });
+    assert.deepEqual(status.map((s) => [s.label, s.applied, s.modified, s.missing]), [
+      ['001_a', false, false, false],
+      ['002_b', false, false, false],
+    ]);
+  });
+
+  await t.test('an applied migration whose up file changed is modified', async (t) => {
+    const dir = migrationsDir(t, { '001_a.up.sql': 'SELECT 1;', '002_b.up.sql': 'SELECT 2;' });
+    const [a, b] = loadMigrations(dir);
+    const rows = [
+      { version: 1, name: 'a', checksum: a.checksum, applied_at: new Date(0) },
+      { version: 2, name: 'b', checksum: b.checksum, applied_at: new Date(0) },
+    ];
+    fs.writeFileSync(path.join(dir, '002_b.up.sql'), 'SELECT 2, 3;');
+    const status = await migrationStatus(fakeClient(rows), { dir });
+    assert.deepEqual(status.map((s) => [s.label, s.applied, s.modified]), [['001_a', true, false], ['002_b', true, true]]);
+  });
+
+  await t.test('an applied migration without files here is missing', async (t) => {
+    const dir = migrationsDir(t, { '001_a.up.sql': 'SELECT 1;' });
+    const [a] = loadMigrations(dir);
+    const rows = [
+      { version: 1, name: 'a', checksum: a.checksum, applied_at: new Date(0) },
+      { version: 4, name: 'from_a_newer_release', checksum: 'f'.repeat(64), applied_at: new Date(0) },
+    ];
+    const status = await migrationStatus(fakeClient(rows), { dir });
+    assert.deepEqual(status.map((s) => [s.label, s.applied, s.modified, s.missing]), [
+      ['001_a', true, false, false],
+      ['004_from_a_newer_release', true, false, true],
+    ]);
+  });
+});
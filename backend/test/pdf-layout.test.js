@@ -0,0 +1,56 @@
+/**
+ * Golden output of the pdf-layout adapter on the bundled disclosures: record counts overall and
+ * per campus, and a sample of fully parsed rows (among them departments the old prefix
+ * heuristics in pdf.js could not split from the title). Regenerate a fixture only when a change
+ * in the output is intended, and review its diff.
+ */
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { pdfLayout } from '../src/import/adapters/pdf-layout.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SALARIES = path.join(__dirname, '..', 'src', 'salaries');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+async function readPdf(file) {
+  const failures = [];
+  const ctx = { log: () => {}, fail: (reason, detail) => failures.push(`${reason}: ${detail}`), hash: () => {} };
+  const records = [];
+  for await (const batch of pdfLayout.read({ name: file, buffer: fs.readFileSync(path.join(SALARIES, file)) }, ctx)) {
+    records.push(...batch);
+  }
+  return { records, failures };
+}
+
+for (const fixture of ['salary_record_2025.golden.json', 'salary_disclosure_2024.golden.json']) {
+  const golden = JSON.parse(fs.readFileSync(path.join(FIXTURES, fixture), 'utf8'));
+
+  test(`pdf-layout reads ${golden.file} as recorded`, async (t) => {
+    const { records, failures } = await readPdf(golden.file);
+
+    await t.test('every line is a record', () => {
+      assert.deepEqual(failures, []);
+    });
+
+    await t.test('record count', () => {
+      assert.equal(records.length, golden.records);
+    });
+
+    await t.test('records per campus', () => {
+      const byCampus = {};
+      for (const r of records) byCampus[r.campus] = (byCampus[r.campus] ?? 0) + 1;
+      assert.deepEqual(byCampus, golden.byCampus);
+    });
+
+    await t.test('sample rows', () => {
+      for (const { index, ...expected } of golden.samples) {
+        const r = records[index];
+        const actual = Object.fromEntries(Object.keys(expected).map((k) => [k, r?.[k]]));
+        assert.deepEqual(actual, expected, `record ${index}`);
+      }
+    });
+  });
+}
@@ -0,0 +1,48 @@
+/**
+ * Person resolver (db/people.js): the continuity score between an unlinked row and a person's
+ * earlier row, and where the link thresholds fall.
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { MATCH_SCORE, REVIEW_SCORE, scoreMatch } from '../src/db/people.js';
+
+const prev = { first_name: 'Anne', title: 'PROFESSOR', department: 'English Language & Lit', campus_id: 1 };
+
+test('scoreMatch', async (t) => {
+  await t.test('same first name, department, title and campus is 1', () => {
+    assert.equal(scoreMatch({ ...prev }, prev), 1);
+  });
+
+  await t.test('names compare without case or extra spaces', () => {
+    assert.equal(scoreMatch({ ...prev, first_name: ' anne ', department: 'english  language & lit', title: 'Professor' }, prev), 1);
+  });
+
+  await t.test('a different first name is no match whatever else agrees', () => {
+    assert.equal(scoreMatch({ ...prev, first_name: 'Anna' }, prev), 0);
+    assert.equal(scoreMatch({ ...prev, first_name: '' }, prev), 0);
+  });
+
+  await t.test('the same first word scores less than the same first name', () => {
+    assert.equal(scoreMatch({ ...prev, first_name: 'Anne C' }, prev), 0.8);
+  });
+
+  await t.test('each field adds its weight', () => {
+    const only = { first_name: 'Anne', title: 'x', department: 'y', campus_id: 2 };
+    assert.equal(scoreMatch(only, prev), 0.5);
+    assert.equal(scoreMatch({ ...only, department: prev.department }, prev), 0.75);
+    assert.equal(scoreMatch({ ...only, title: prev.title }, prev), 0.65);
+    assert.equal(scoreMatch({ ...only, campus_id: 1 }, prev), 0.6);
+  });
+
+  await t.test('empty department and title never count as equal', () => {
+    const blank = { first_name: 'Anne', title: '', department: '', campus_id: 1 };
+    assert.equal(scoreMatch(blank, { ...blank }), 0.6);
+  });
+
+  await t.test('a new department or title alone still links; both at once links for review', () => {
+    assert.ok(scoreMatch({ ...prev, department: 'Linguistics' }, prev) >= MATCH_SCORE);
+    assert.ok(scoreMatch({ ...prev, title: 'DEAN' }, prev) >= MATCH_SCORE);
+    const moved = scoreMatch({ ...prev, department: 'Linguistics', title: 'DEAN' }, prev);
+    assert.ok(moved >= REVIEW_SCORE && moved < MATCH_SCORE, `score ${moved}`);
+  });
+});
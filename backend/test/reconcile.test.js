@@ -0,0 +1,76 @@
+/**
+ * Reconcile mode (import/reconcile.js): how a source's records are diffed against the stored
+ * rows of a year. Stored rows come from a stand-in client, with numeric columns as the strings
+ * pg returns for them.
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { diffYear } from '../src/import/reconcile.js';
+
+const KEY = { last_name: 'Curzan', first_name: 'Anne', title: 'PROFESSOR', department: 'English Language & Lit' };
+const record = (fields = {}) => ({ ...KEY, ftr: 150000, gf: 75000, basis_months: 9, fte_fraction: 1, campus: 'UM_ANN-ARBOR', ...fields });
+const stored = (id, fields = {}) => ({
+  id, ...KEY, ftr: '150000.00', gf: '75000.00', basis_months: 9, fte_fraction: '1.00', campus: 'UM_ANN-ARBOR', ...fields,
+});
+
+/** A client whose salary_records query returns rows, recording its parameters. */
+function storedRows(rows) {
+  const params = [];
+  return {
+    params,
+    async query(sql, values) {
+      params.push(values);
+      return { rows };
+    },
+  };
+}
+
+test('diffYear', async (t) => {
+  await t.test('same key and amounts at the column scale is unchanged', async () => {
+    const diff = await diffYear(storedRows([stored('a')]), 0, [record({ ftr: 150000.001, gf: 74999.999 })]);
+    assert.deepEqual(diff, { added: [], changed: [], unchanged: 1, missing: [], duplicates: 0 });
+  });
+
+  await t.test('changed amounts or appointment update the row in place', async () => {
+    const diff = await diffYear(storedRows([stored('a')]), 0, [record({ ftr: 155000, basis_months: 12, campus: 'UM_FLINT' })]);
+    assert.equal(diff.changed.length, 1);
+    const [{ id, fields, after }] = diff.changed;
+    assert.equal(id, 'a');
+    assert.deepEqual(fields, ['ftr', 'basis_months', 'campus']);
+    assert.equal(after.ftr, 155000);
+  });
+
+  await t.test('a new title is a new row and a missing one, not a change', async () => {
+    const diff = await diffYear(storedRows([stored('a')]), 0, [record({ title: 'ARTHUR F THURNAU PROF' })]);
+    assert.deepEqual(diff.added.map((r) => r.title), ['ARTHUR F THURNAU PROF']);
+    assert.deepEqual(diff.missing.map((r) => r.id), ['a']);
+    assert.deepEqual(diff.changed, []);
+  });
+
+  await t.test('the first source row for a key wins; later ones are counted as duplicates', async () => {
+    const diff = await diffYear(storedRows([stored('a')]), 0, [record(), record({ ftr: 1 }), record({ ftr: 2 })]);
+    assert.equal(diff.unchanged, 1);
+    assert.equal(diff.duplicates, 2);
+    assert.deepEqual(diff.changed, []);
+  });
+
+  await t.test('rows validation held back are not missing', async () => {
+    const held = { ...KEY, last_name: 'Held' };
+    const diff = await diffYear(storedRows([stored('a'), stored('b', { last_name: 'Held' }), stored('c', { last_name: 'Gone' })]), 0, [record()], { keep: [held] });
+    assert.deepEqual(diff.missing.map((r) => r.id), ['c']);
+  });
+
+  await t.test('an unregistered year has no stored rows and is not queried', async () => {
+    const client = storedRows([stored('a')]);
+    const diff = await diffYear(client, null, [record()]);
+    assert.equal(diff.added.length, 1);
+    assert.deepEqual(client.params, []);
+  });
+
+  await t.test('the year and campuses are passed to the query', async () => {
+    const client = storedRows([]);
+    await diffYear(client, 3, [], { campuses: ['UM_FLINT'] });
+    await diffYear(client, 3, []);
+    assert.deepEqual(client.params, [[3, ['UM_FLINT']], [3, null]]);
+  });
+});
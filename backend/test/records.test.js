@@ -0,0 +1,41 @@
+/**
+ * Name search (routes/records.js): how a query becomes the { last, first } orderings the SQL
+ * scores. The ranking itself runs in Postgres (pg_trgm) and is not covered here.
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { parseNameQuery } from '../src/routes/records.js';
+
+test('parseNameQuery', async (t) => {
+  await t.test('"Last, First" is taken as written', () => {
+    assert.deepEqual(parseNameQuery('Curzan, Anne'), [{ last: 'curzan', first: 'anne' }]);
+    assert.deepEqual(parseNameQuery('Curzan,'), [{ last: 'curzan', first: '' }]);
+  });
+
+  await t.test('words without a comma are tried both ways round', () => {
+    assert.deepEqual(parseNameQuery('anne curzan'), [
+      { last: 'curzan', first: 'anne' },
+      { last: 'anne', first: 'curzan' },
+    ]);
+    assert.deepEqual(parseNameQuery('Mary Ann Smith'), [
+      { last: 'smith', first: 'mary ann' },
+      { last: 'mary', first: 'ann smith' },
+    ]);
+  });
+
+  await t.test('one word is a last name', () => {
+    assert.deepEqual(parseNameQuery('Curzan'), [{ last: 'curzan', first: '' }]);
+  });
+
+  await t.test('hyphens and apostrophes are kept; other punctuation and extra spaces are not', () => {
+    assert.deepEqual(parseNameQuery("  O'Brien-Smith,   Mary  (Jo) "), [{ last: "o'brien-smith", first: 'mary jo' }]);
+    assert.deepEqual(parseNameQuery('Smith, Mary, Jo'), [{ last: 'smith', first: 'mary jo' }]);
+  });
+
+  await t.test('nothing to search for', () => {
+    assert.deepEqual(parseNameQuery(''), []);
+    assert.deepEqual(parseNameQuery(undefined), []);
+    assert.deepEqual(parseNameQuery('%%%'), []);
+    assert.deepEqual(parseNameQuery(', Anne'), []);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Import validation (import/validate.js): which rows are held, which are flagged, and what the
+ * quality report counts. The year-over-year check reads the previous year from a stand-in client.
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createValidator } from '../src/import/validate.js';
+
+const row = (fields = {}) => ({
+  last_name: 'Curzan', first_name: 'Anne', title: 'PROFESSOR', department: 'English Language & Lit', ftr: 150000, gf: 150000, ...fields,
+});
+
+/** A client holding the previous fiscal year (label) with rows, as loadPreviousYear queries it. */
+function previousYearClient(label, rows) {
+  return {
+    async query(sql) {
+      if (sql.includes('FROM fiscal_years cur')) return { rows: [{ year_key: 1, label }] };
+      return { rows };
+    },
+  };
+}
+
+async function validate(records, client = null, year = null) {
+  const validator = await createValidator(client, year);
+  const { accepted, held } = validator.check(records);
+  const { flagged, report } = validator.finish();
+  const reasons = (list) => list.map(({ record, reasons }) => [record.last_name, reasons]);
+  return { accepted, held: reasons(held), flagged: reasons(flagged), report };
+}
+
+test('rows that are held back', async (t) => {
+  await t.test('FTR zero, negative or unreadable', async () => {
+    const { accepted, held } = await validate([row({ last_name: 'A', ftr: 0 }), row({ last_name: 'B', ftr: -5 }), row({ last_name: 'C', ftr: 'x' })]);
+    assert.deepEqual(accepted, []);
+    assert.deepEqual(held, [['A', ['ftr_not_positive']], ['B', ['ftr_not_positive']], ['C', ['ftr_not_positive']]]);
+  });
+
+  await t.test('GF above FTR by more than the 1% rounding tolerance', async () => {
+    const { accepted, held } = await validate([row({ last_name: 'A', gf: 152000 }), row({ last_name: 'B', gf: 151000 })]);
+    assert.deepEqual(held, [['A', ['gf_exceeds_ftr']]]);
+    assert.deepEqual(accepted.map((r) => r.last_name), ['B']);
+  });
+
+  await t.test('an empty or N/A name, title or department', async () => {
+    const { held } = await validate([
+      row({ last_name: 'A', title: '' }),
+      row({ last_name: 'B', department: ' n/a ' }),
+      row({ last_name: 'C', first_name: null }),
+    ]);
+    assert.deepEqual(held, [['A', ['missing_field']], ['B', ['missing_field']], ['C', ['missing_field']]]);
+  });
+
+  await t.test('placeholders that are real names or single-name stand-ins are kept', async () => {
+    const { accepted, held } = await validate([row({ last_name: 'Na' }), row({ last_name: 'Null' }), row({ last_name: '.', first_name: 'Ravi' })]);
+    assert.deepEqual(held, []);
+    assert.equal(accepted.length, 3);
+  });
+
+  await t.test('the same name, title and department again; the first one wins across batches', async () => {
+    const validator = await createValidator(null, null);
+    const first = validator.check([row({ ftr: 100, gf: 0 })]);
+    const second = validator.check([row({ ftr: 200, gf: 0 }), row({ title: 'DEAN' })]);
+    assert.deepEqual(first.accepted.map((r) => r.ftr), [100]);
+    assert.deepEqual(second.held.map(({ record, reasons }) => [record.ftr, reasons]), [[200, ['duplicate_name']]]);
+    assert.deepEqual(second.accepted.map((r) => r.title), ['DEAN']);
+  });
+});
+
+test('rows that are flagged but stored', async (t) => {
+  await t.test('a department prefix in the title', async () => {
+    const { accepted, flagged } = await validate([row({ title: 'RESEARCH FELLOW DENT' }), row({ title: 'Dean of Students', department: 'Dean of Students' })]);
+    assert.equal(accepted.length, 2);
+    assert.deepEqual(flagged, [['Curzan', ['department_in_title']]]);
+  });
+
+  await t.test('more than three times, or under a third of, the same appointment last year', async () => {
+    const client = previousYearClient('2024', [
+      row({ last_name: 'Up', ftr: 40000 }),
+      row({ last_name: 'Down', ftr: 600000 }),
+      row({ last_name: 'Raise', ftr: 100000 }),
+      row({ last_name: 'Moved', title: 'LECTURER', ftr: 10000 }),
+    ]);
+    const { flagged, report } = await validate([
+      row({ last_name: 'Up' }),
+      row({ last_name: 'Down' }),
+      row({ last_name: 'Raise' }),
+      row({ last_name: 'Moved' }),
+    ], client, { year_key: 0 });
+    assert.deepEqual(flagged, [['Up', ['implausible_change']], ['Down', ['implausible_change']], ['Moved', ['implausible_change']]]);
+    assert.equal(report.previousYear, '2024');
+    assert.deepEqual(report.checks.implausible_change.examples.map((e) => e.previousFtr), [40000, 600000, 10000]);
+  });
+
+  await t.test('no comparison for a person with several appointments and none the same', async () => {
+    const client = previousYearClient('2024', [row({ title: 'LECTURER', ftr: 10000 }), row({ title: 'ADVISOR', ftr: 10000 })]);
+    const { flagged } = await validate([row()], client, { year_key: 0 });
+    assert.deepEqual(flagged, []);
+  });
+
+  await t.test('no comparison without a previous year', async () => {
+    const { flagged, report } = await validate([row()]);
+    assert.deepEqual(flagged, []);
+    assert.equal(report.previousYear, null);
+  });
+});
+
+test('the quality report', async () => {
+  const { report } = await validate([
+    row({ last_name: 'A', ftr: 0 }),
+    row({ last_name: 'B', title: 'MM Nurse' }),
+    row({ last_name: 'C' }),
+    row({ last_name: 'C', title: 'DEAN' }),
+  ]);
+  assert.equal(report.records, 4);
+  assert.equal(report.accepted, 3);
+  assert.equal(report.held, 1);
+  assert.equal(report.flagged, 1);
+  assert.equal(report.checks.ftr_not_positive.count, 1);
+  assert.equal(report.checks.ftr_not_positive.hold, true);
+  assert.deepEqual(report.checks.department_in_title.examples.map((e) => e.name), ['B, Anne']);
+  assert.equal(report.checks.duplicate_name.count, 0);
+  assert.deepEqual(report.multipleAppointments, { names: 1, records: 2 });
+});
@@ -2,6 +2,7 @@ const BASE = import.meta.env.VITE_API_URL ?? ''
 
 export interface SalaryRecord {
   id: string
+  personId?: string
   firstName: string
   lastName: string
   title: string
@@ -13,12 +14,31 @@ export interface SalaryRecord {
   ftr: number
   gf: number
   periodFte?: string
+  /** Appointment basis (8, 9 or 12 months) and FTE fraction, parsed from periodFte */
+  basisMonths?: number
+  fteFraction?: number
+  /** FTR annualized to a 12-month basis (full-time-equivalent annual rate) */
+  fteFtr?: number
   changeFromLastYearPct?: number
+  /** Percentile rank (0-100) and median FTR among the year's records with the same title, department and campus; absent for groups under 5 */
+  titlePctRank?: number
+  titleMedianFtr?: number
+  departmentPctRank?: number
+  departmentMedianFtr?: number
+  campusPctRank?: number
+  campusMedianFtr?: number
+  /** Linked to this person's earlier years with low confidence. */
+  personMatchReview?: boolean
+  /** Another person with the same name that year who may be the same person (their id) */
+  personMatchCandidate?: string
 }
 
 export interface YearOption {
   yearKey: number
   label: string
+  fiscalYear?: string
+  startDate?: string
+  endDate?: string
 }
 
 export interface CampusOption {
@@ -26,11 +46,6 @@ export interface CampusOption {
   name: string
 }
 
-export interface NameSearchResponse {
-  items: SalaryRecord[]
-  totalCount: number
-}
-
 export interface PaginatedResponse {
   items: SalaryRecord[]
   totalCount: number
@@ -45,14 +60,127 @@ export interface PaginatedResponse {
   }
 }
 
+/** Distribution of year-over-year change (percent) for a set of records */
+export interface RaiseDistribution {
+  count: number
+  median: number
+  p10: number
+  p25: number
+  p75: number
+  p90: number
+  mean: number
+  /** Share of records with exactly 0% change, as a percentage */
+  pctNoRaise: number
+  /** Share of records with a negative change, as a percentage */
+  pctCut: number
+}
+
+export interface RaiseGroup extends RaiseDistribution {
+  name: string
+}
+
+export interface RaisesResponse {
+  yearKey: number
+  overall: RaiseDistribution
+  byDepartment: RaiseGroup[]
+  byTitle: RaiseGroup[]
+  byCampus: RaiseGroup[]
+  generatedAt?: string
+  dataVersion?: number
+}
+
+/** General-fund (GF) share of salary paid: GF dollars over FTR at each appointment's effort */
+export interface FundingMix {
+  count: number
+  /** Salary paid, FTR at each appointment's effort */
+  payroll: number
+  gf: number
+  /** GF share of payroll, as a percentage */
+  gfSharePct: number
+}
+
+export interface FundingGroup extends FundingMix {
+  name: string
+}
+
+export interface FundingYear extends FundingMix {
+  yearKey: number
+  label: string
+}
+
+export interface FundingUnits {
+  /** Every qualifying department; units lists the largest */
+  total: number
+  units: FundingGroup[]
+}
+
+export interface FundingResponse {
+  yearKey: number
+  overall: FundingMix
+  byDepartment: FundingGroup[]
+  byCampus: FundingGroup[]
+  byTitleFamily: FundingGroup[]
+  /** Published years, oldest first */
+  trend: FundingYear[]
+  /** Departments with no GF salary */
+  fullyExternal: FundingUnits
+  /** Departments paid entirely from the GF */
+  fullyGf: FundingUnits
+  generatedAt?: string
+  dataVersion?: number
+}
+
+/** Filters for the combined search; any combination may be given. */
+export interface SearchParams {
+  q?: string
+  title?: string
+  department?: string
+  campus?: number
+  ftrMin?: number
+  ftrMax?: number
+  gfMin?: number
+  gfMax?: number
+  year: number
+  sort?: SearchSort
+  dir?: 'asc' | 'desc'
+  pay?: PayBasis
+  page?: number
+  pageSize?: number
+}
+
+/** Salary figures as disclosed (FTR) or as the full-time-equivalent 12-month rate */
+export type PayBasis = 'disclosed' | 'fte'
+
+export type SearchSort = 'relevance' | 'name' | 'title' | 'department' | 'ftr' | 'gf'
+
+/** One year of a person's appointments rolled up (concurrent appointments combined) */
+export interface PersonYear {
+  yearKey: number
+  fiscalYear: string
+  appointmentCount: number
+  /** Combined FTR: effort-weighted across appointments, added up beyond full time */
+  totalFtr: number
+  totalFteFtr: number
+  totalGf: number
+  /** Appointment with the largest effort, then the highest FTR */
+  primaryRecordId: string
+}
+
 export interface PersonResponse {
+  id: string
   firstName: string
   lastName: string
+  needsReview: boolean
   salaryHistory: SalaryRecord[]
+  /** Newest first, one entry per year in salaryHistory */
+  years: PersonYear[]
 }
 
 export interface AnalyticsOverview {
+  /** People, with concurrent appointments counted once */
   headcount: number
+  /** Salary records (appointments) */
+  appointments?: number
   totalPayroll: number
   meanFtr: number
   medianFtr: number
@@ -62,6 +190,7 @@ export interface AnalyticsOverview {
 
 export interface AnalyticsTopEarner {
   id: string
+  personId?: string
   firstName: string
   lastName: string
   title: string
@@ -114,6 +243,7 @@ export interface AnalyticsProfessorSalary {
 
 export interface AnalyticsResponse {
   yearKey: number
+  pay?: PayBasis
   overview: AnalyticsOverview
   topEarners: AnalyticsTopEarner[]
   departments: AnalyticsDepartment[]
@@ -123,54 +253,251 @@ export interface AnalyticsResponse {
   salaryBands?: AnalyticsSalaryBand[]
   concentration?: AnalyticsConcentrationPoint[]
   professorSalaries?: AnalyticsProfessorSalary[]
+  /** When the server computed this snapshot (ISO timestamp) */
+  generatedAt?: string
+  /** Dataset version the response was served for */
+  dataVersion?: number
+}
+
+export interface DepartmentTitleCount {
+  title: string
+  count: number
+  totalFtr: number
 }
 
-async function get<T>(path: string, params?: Record<string, string | number>): Promise<T> {
+export interface DepartmentYearSummary {
+  yearKey: number
+  label: string
+  /** People, with concurrent appointments in the department counted once */
+  headcount: number
+  /** Salary records (appointments) */
+  appointments: number
+  totalPayroll: number
+  meanFtr: number
+  medianFtr: number
+  p10: number
+  p25: number
+  p75: number
+  p90: number
+  /** General-fund share of payroll, as a percentage */
+  gfSharePct: number
+  /** Most common titles, largest first */
+  titles: DepartmentTitleCount[]
+  /** Appointments in titles not listed in `titles` */
+  otherTitlesCount: number
+  histogram: AnalyticsHistogramBucket[]
+}
+
+export interface DepartmentSummaryResponse {
+  department: string
+  /** Every published year the department appears in, newest first */
+  years: DepartmentYearSummary[]
+}
+
+/** FTR distribution of a group of records */
+export interface BenchmarkStats {
+  count: number
+  min: number
+  p10: number
+  p25: number
+  median: number
+  p75: number
+  p90: number
+  max: number
+  mean: number
+}
+
+export interface BenchmarkGroup extends BenchmarkStats {
+  name: string
+}
+
+export interface BenchmarkYear extends BenchmarkStats {
+  yearKey: number
+  label: string
+}
+
+export interface TitleBenchmarkResponse {
+  title: string
+  yearKey: number
+  pay: PayBasis
+  /** Null when the title has no records in the requested year */
+  overall: BenchmarkStats | null
+  byDepartment: BenchmarkGroup[]
+  byCampus: BenchmarkGroup[]
+  /** Every published year the title appears in, newest first */
+  trend: BenchmarkYear[]
+}
+
+type QueryParams = Record<string, string | number | undefined>
+
+/** Error codes the API sends in its error envelope; others may be added, so keep a fallback. */
+export type ApiErrorCode =
+  | 'invalid_request'
+  | 'invalid_json'
+  | 'not_found'
+  | 'forbidden'
+  | 'unauthorized'
+  | 'rate_limited'
+  | 'payload_too_large'
+  | 'internal_error'
+  | (string & {})
+
+/** A failed API request: { error: { code, message, requestId } } from the server, or the HTTP status when the body is not that envelope (e.g. a proxy's error page). */
+export class ApiError extends Error {
+  readonly status: number
+  readonly code: ApiErrorCode
+  /** Quote this when reporting a problem: it finds the request in the server log */
+  readonly requestId?: string
+
+  constructor(status: number, code: ApiErrorCode, message: string, requestId?: string) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+    this.code = code
+    this.requestId = requestId
+  }
+
+  static async fromResponse(res: Response): Promise<ApiError> {
+    const body: unknown = await res.json().catch(() => null)
+    const error = (body as { error?: unknown } | null)?.error
+    if (error && typeof error === 'object') {
+      const { code, message, requestId } = error as { code?: unknown; message?: unknown; requestId?: unknown }
+      return new ApiError(
+        res.status,
+        typeof code === 'string' ? code : fallbackCode(res.status),
+        typeof message === 'string' && message ? message : res.statusText,
+        typeof requestId === 'string' ? requestId : res.headers.get('X-Request-Id') ?? undefined,
+      )
+    }
+    return new ApiError(res.status, fallbackCode(res.status), res.statusText || `HTTP ${res.status}`, res.headers.get('X-Request-Id') ?? undefined)
+  }
+}
+
+function fallbackCode(status: number): ApiErrorCode {
+  if (status === 404) return 'not_found'
+  if (status === 429) return 'rate_limited'
+  return status >= 500 ? 'internal_error' : 'invalid_request'
+}
+
+function buildUrl(path: string, params?: QueryParams): string {
   const url = new URL(path, BASE || window.location.origin)
   if (params) {
     Object.entries(params).forEach(([k, v]) => {
       if (v !== '' && v !== undefined) url.searchParams.set(k, String(v))
     })
   }
-  const res = await fetch(url.toString())
-  if (!res.ok) {
-    const err = await res.json().catch(() => ({}))
-    throw new Error((err as { error?: string }).error || res.statusText)
+  return url.toString()
+}
+
+// Responses the API sent with an ETag: reused until their max-age passes, then revalidated with
+// If-None-Match (a 304 keeps the stored copy). The ETag changes whenever the dataset is updated.
+const RESPONSE_CACHE_MAX = 200
+const responseCache = new Map<string, { etag: string; expires: number; data: unknown }>()
+
+function expiresAt(res: Response): number {
+  const m = /max-age=(\d+)/.exec(res.headers.get('Cache-Control') || '')
+  return Date.now() + (m ? Number(m[1]) * 1000 : 0)
+}
+
+async function get<T>(path: string, params?: QueryParams): Promise<T> {
+  const url = buildUrl(path, params)
+  const cached = responseCache.get(url)
+  if (cached && cached.expires > Date.now()) return cached.data as T
+
+  // no-store: revalidation is done here, so the browser cache must not answer for us
+  const res = await fetch(url, { cache: 'no-store', headers: cached ? { 'If-None-Match': cached.etag } : {} })
+  if (res.status === 304 && cached) {
+    cached.expires = expiresAt(res)
+    return cached.data as T
+  }
+  if (!res.ok) throw await ApiError.fromResponse(res)
+  const data = await res.json()
+  const etag = res.headers.get('ETag')
+  if (etag) {
+    responseCache.delete(url)
+    responseCache.set(url, { etag, expires: expiresAt(res), data })
+    if (responseCache.size > RESPONSE_CACHE_MAX) responseCache.delete(responseCache.keys().next().value!)
   }
-  return res.json()
+  return data
 }
 
-let analyticsCache: { yearKey: number; data: AnalyticsResponse } | null = null
+let yearsCache: Promise<YearOption[]> | null = null
+
+/** ?pay= value: omitted for the default (as disclosed) so those URLs are unchanged. */
+function payParam(pay?: PayBasis): PayBasis | undefined {
+  return pay === 'fte' ? pay : undefined
+}
 
 export const api = {
-  getYears: () => get<YearOption[]>('/api/years'),
+  /** Published fiscal years, newest first. Fetched once per page load. */
+  getYears: (): Promise<YearOption[]> => {
+    if (!yearsCache) {
+      yearsCache = get<YearOption[]>('/api/years').catch((e) => {
+        yearsCache = null
+        throw e
+      })
+    }
+    return yearsCache
+  },
   getCampuses: () => get<CampusOption[]>('/api/campuses'),
   getDepartments: (year: number) => get<{ yearKey: number; departments: string[] }>('/api/departments', { year }),
+  getDepartmentSummary: (name: string) =>
+    get<DepartmentSummaryResponse>(`/api/departments/${encodeURIComponent(name)}/summary`),
   getTitles: (year: number) => get<{ yearKey: number; titles: string[] }>('/api/titles', { year }),
-  searchByName: (lastName: string, firstName: string, year: number, campus: number) =>
-    get<NameSearchResponse>('/api/search/name', { lastName, firstName, year, campus }),
-  searchByTitle: (title: string, year: number, page: number, pageSize: number) =>
-    get<PaginatedResponse>('/api/search/title', { title, year, page, pageSize }),
-  searchByDepartment: (department: string, year: number, page: number, pageSize: number) =>
-    get<PaginatedResponse>('/api/search/department', { department, year, page, pageSize }),
-  getPerson: (lastName: string, firstName: string) =>
-    get<PersonResponse>('/api/person', { lastName, firstName }),
-  getAnalytics: async (year: number = 0): Promise<AnalyticsResponse> => {
-    if (analyticsCache?.yearKey === year) return analyticsCache.data
-    const data = await get<AnalyticsResponse>('/api/analytics', { year })
-    analyticsCache = { yearKey: year, data }
-    return data
-  },
-  prefetchAnalytics: (year: number = 0) => {
-    if (analyticsCache?.yearKey === year) return
-    get<AnalyticsResponse>('/api/analytics', { year }).then((data) => {
-      analyticsCache = { yearKey: year, data }
-    })
-  },
-  getAnalyticsCache: (year: number): AnalyticsResponse | null =>
-    analyticsCache?.yearKey === year ? analyticsCache.data : null,
+  getTitleBenchmark: (title: string, year: number, pay?: PayBasis) =>
+    get<TitleBenchmarkResponse>(`/api/titles/${encodeURIComponent(title)}/benchmark`, { year, pay: payParam(pay) }),
+  searchByName: (q: string, year: number, campus: number, page: number, pageSize: number) =>
+    get<PaginatedResponse>('/api/search/name', { q, year, campus, page, pageSize }),
+  searchByTitle: (title: string, year: number, page: number, pageSize: number, pay?: PayBasis) =>
+    get<PaginatedResponse>('/api/search/title', { title, year, page, pageSize, pay: payParam(pay) }),
+  searchByDepartment: (department: string, year: number, page: number, pageSize: number, pay?: PayBasis) =>
+    get<PaginatedResponse>('/api/search/department', { department, year, page, pageSize, pay: payParam(pay) }),
+  search: (params: SearchParams) =>
+    get<PaginatedResponse>('/api/search', { ...params, pay: payParam(params.pay) }),
+  getPerson: (id: string) => get<PersonResponse>(`/api/person/${encodeURIComponent(id)}`),
+  getAnalytics: (year?: number, pay?: PayBasis) => get<AnalyticsResponse>('/api/analytics', { year, pay: payParam(pay) }),
+  getRaises: (year?: number) => get<RaisesResponse>('/api/analytics/raises', { year }),
+  getFunding: (year?: number) => get<FundingResponse>('/api/analytics/funding', { year }),
+}
+
+/** Year key from a route query value, falling back to the latest published year. */
+export async function resolveYearKey(value: unknown): Promise<number> {
+  if (value != null && value !== '' && Number.isFinite(Number(value))) return Number(value)
+  const years = await api.getYears()
+  return years[0]?.yearKey ?? 0
+}
+
+/** Display label for a year key, e.g. "2025". */
+export async function yearLabel(yearKey: number): Promise<string> {
+  const years = await api.getYears()
+  return years.find((y) => y.yearKey === yearKey)?.label ?? `${yearKey}`
+}
+
+export type ExportFormat = 'csv' | 'xlsx' | 'json'
+
+/** Download link for every row of a search (the endpoint ignores page/pageSize when exporting). */
+export function exportUrl(path: string, params: QueryParams, format: ExportFormat): string {
+  const { page: _page, pageSize: _pageSize, ...rest } = params
+  return buildUrl(path, { ...rest, format })
 }
 
 export function formatCurrency(n: number): string {
   return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(n)
 }
+
+/** Parse a ?pay= query value; anything but 'fte' is as disclosed. */
+export function parsePayBasis(value: unknown): PayBasis {
+  return value === 'fte' ? 'fte' : 'disclosed'
+}
+
+/** The FTR figure a record shows under the given basis (full-time equivalent falls back to FTR). */
+export function payAmount(r: SalaryRecord, pay: PayBasis): number {
+  return pay === 'fte' ? (r.fteFtr ?? r.ftr) : r.ftr
+}
+
+/** 1 -> "1st", 22 -> "22nd", 13 -> "13th" */
+export function formatOrdinal(n: number): string {
+  const rem100 = n % 100
+  if (rem100 >= 11 && rem100 <= 13) return `${n}th`
+  return `${n}${{ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] ?? 'th'}`
+}
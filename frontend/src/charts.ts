@@ -0,0 +1,37 @@
+/** Chart.js registration and the light/dark palette shared by the chart views. */
+import { Chart, registerables } from 'chart.js'
+
+Chart.register(...registerables)
+
+export { Chart }
+
+export const CHART_COLORS_LIGHT = {
+  bar: 'rgba(15, 39, 68, 0.9)',
+  barFill: 'rgba(30, 58, 95, 0.6)',
+  border: 'rgba(30, 58, 95, 0.2)',
+  line: 'rgba(30, 58, 95, 0.9)',
+  lineFill: 'rgba(30, 58, 95, 0.1)',
+  secondary: 'rgba(91, 141, 201, 0.9)',
+  secondaryFill: 'rgba(91, 141, 201, 0.5)',
+}
+export const CHART_COLORS_DARK = {
+  bar: 'rgba(91, 141, 201, 0.95)',
+  barFill: 'rgba(91, 141, 201, 0.5)',
+  border: 'rgba(148, 163, 184, 0.4)',
+  line: 'rgba(123, 163, 212, 0.95)',
+  lineFill: 'rgba(91, 141, 201, 0.15)',
+  secondary: 'rgba(148, 163, 184, 0.9)',
+  secondaryFill: 'rgba(148, 163, 184, 0.4)',
+}
+
+export function isDarkMode(): boolean {
+  return document.documentElement.getAttribute('data-theme') === 'dark'
+}
+
+export function chartScaleDefaults() {
+  const dark = isDarkMode()
+  const tickColor = dark ? '#94a3b8' : '#64748b'
+  const gridColor = dark ? 'rgba(248, 250, 252, 0.08)' : 'rgba(15, 39, 68, 0.08)'
+  const titleColor = dark ? '#cbd5e1' : '#475569'
+  return { tickColor, gridColor, titleColor }
+}
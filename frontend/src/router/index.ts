@@ -7,8 +7,10 @@ const routes = [
   { path: '/search/name', name: 'search-name', component: () => import('@/views/SearchNameView.vue'), meta: { title: 'Name search', description: 'Search UM employees by last name and first name. View salary and job details.' } },
   { path: '/search/title', name: 'search-title', component: () => import('@/views/SearchTitleView.vue'), meta: { title: 'Title search', description: 'Search UM salary data by job title. View employees and salary ranges by title.' } },
   { path: '/search/department', name: 'search-department', component: () => import('@/views/SearchDepartmentView.vue'), meta: { title: 'Department search', description: 'Browse UM salary data by department. View headcount, payroll, and employee list.' } },
-  { path: '/person', name: 'person', component: () => import('@/views/PersonView.vue'), meta: { title: 'Salary history', description: 'View salary history and career earnings for a UM employee.' } },
+  { path: '/search/advanced', name: 'search-advanced', component: () => import('@/views/SearchAdvancedView.vue'), meta: { title: 'Advanced search', description: 'Search UM salary data by any combination of name, title, department, campus, and salary range.' } },
+  { path: '/person/:id', name: 'person', component: () => import('@/views/PersonView.vue'), meta: { title: 'Salary history', description: 'View salary history and career earnings for a UM employee.' } },
   { path: '/departments', name: 'departments', component: () => import('@/views/DepartmentsListView.vue'), meta: { title: 'Departments', description: 'Browse all University of Michigan departments. Select a department to view salary data.' } },
+  { path: '/departments/:name', name: 'department', component: () => import('@/views/DepartmentDetailView.vue'), meta: { title: 'Department', description: 'Headcount, payroll, salary percentiles, funding and title mix for a UM department across years.' } },
   { path: '/titles', name: 'titles', component: () => import('@/views/TitlesListView.vue'), meta: { title: 'Titles', description: 'Browse all job titles at the University of Michigan. Select a title to view salary data.' } },
   { path: '/analytics', name: 'analytics', component: () => import('@/views/AnalyticsView.vue'), meta: { title: 'Analytics', description: 'University-wide salary analytics: headcount, payroll distribution, top earners, and department breakdowns.' } },
 ]